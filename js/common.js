@@ -50,6 +50,12 @@ window.$claudia = {
 
         isCovered ? blurImg.classList.add('is-hidden') : blurImg.classList.remove('is-hidden')
     },
+    // Whether keys pressed in target go into a form field, so shortcuts leave them alone
+    isTyping: function (target) {
+        if (!target) return false
+        var tagName = target.tagName
+        return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || target.isContentEditable
+    },
     getSystemTheme(callback) {
         var media = window.matchMedia('(prefers-color-scheme: dark)')
         media.addEventListener('change', function (e){
@@ -57,5 +63,51 @@ window.$claudia = {
         })
 
         callback && callback(media.matches ? 'dark' : 'light')
+    },
+    READER_KEY: 'claudia-reader-mode',
+    // Reader mode typography, each setting with its allowed range
+    readerSettings: {
+        fontSize: { min: 15, max: 25, step: 1, value: 19 },
+        lineHeight: { min: 1.4, max: 2.2, step: 0.1, value: 1.8 },
+        width: { min: 560, max: 1040, step: 80, value: 720 }
+    },
+    readerFonts: ['wenkai', 'maple'],
+    /**
+     * Stored reader mode preferences, every missing or invalid value replaced by its default
+     */
+    getReaderPrefs: function () {
+        var stored = {}
+        try {
+            stored = JSON.parse(localStorage.getItem($claudia.READER_KEY)) || {}
+        } catch (e) { /* noop */ }
+
+        var prefs = {
+            enabled: stored.enabled === true,
+            font: $claudia.readerFonts.indexOf(stored.font) > -1 ? stored.font : $claudia.readerFonts[0]
+        }
+        Object.keys($claudia.readerSettings).forEach(function (name) {
+            var setting = $claudia.readerSettings[name]
+            var value = Number(stored[name])
+            prefs[name] = value >= setting.min && value <= setting.max ? value : setting.value
+        })
+        return prefs
+    },
+    saveReaderPrefs: function (prefs) {
+        try {
+            localStorage.setItem($claudia.READER_KEY, JSON.stringify(prefs))
+        } catch (e) { /* noop */ }
+    },
+    /**
+     * Reader mode lives on <html>, so it can be applied from <head> before the first paint
+     */
+    applyReaderPrefs: function (prefs) {
+        var root = document.documentElement
+        root.classList.toggle('reader-mode', prefs.enabled)
+        root.setAttribute('data-reader-font', prefs.font)
+        root.style.setProperty('--reader-font-size', prefs.fontSize + 'px')
+        root.style.setProperty('--reader-line-height', String(prefs.lineHeight))
+        root.style.setProperty('--reader-width', prefs.width + 'px')
     }
 }
+
+$claudia.applyReaderPrefs($claudia.getReaderPrefs())
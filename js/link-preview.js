@@ -0,0 +1,208 @@
+/**
+ * Preview cards for links between posts for Claudia theme
+ * Hover, focus or long-press a link in .post-content to see the title, date, tags
+ * and an excerpt of the linked post or section, taken from the shared $search index
+ */
+var $linkPreview = {
+    SHOW_DELAY: 300,
+    HIDE_DELAY: 200,
+    LONG_PRESS: 500,
+    // Post permalinks, :year/:month/:day/:title/. Other pages such as /tags/ or /about/ have no preview.
+    POST_PATH: /^\/\d{4}\/\d{2}\/\d{2}\/[^/]+\/?$/,
+
+    el: null,
+    link: null,
+    showTimer: null,
+    hideTimer: null,
+    pressTimer: null,
+    isLongPress: false,
+    cache: {},
+
+    /**
+     * Post path and section id a link points to, null for links leaving the site,
+     * staying on this page or going to a page that is not a post
+     */
+    target: function (link) {
+        if (!link || link.origin !== window.location.origin || link.closest('.heading-anchor')) return null
+        if (link.pathname === window.location.pathname || !$linkPreview.POST_PATH.test(link.pathname)) return null
+
+        function decode(value, decoder) {
+            try {
+                return decoder(value)
+            } catch (e) {
+                return value
+            }
+        }
+
+        return {
+            path: decode(link.pathname, decodeURI),
+            id: link.hash ? decode(link.hash.slice(1), decodeURIComponent) : null
+        }
+    },
+    fetch: function (target) {
+        var key = target.path + '#' + (target.id || '')
+        if (!$linkPreview.cache[key]) {
+            $linkPreview.cache[key] = $search.previewOf(target.path, target.id).catch(function () {
+                delete $linkPreview.cache[key]
+                return null
+            })
+        }
+        return $linkPreview.cache[key]
+    },
+    create: function () {
+        var card = document.createElement('div')
+        card.className = 'link-preview'
+        card.id = 'linkPreview'
+        card.setAttribute('role', 'tooltip')
+
+        card.addEventListener('mouseenter', function () { clearTimeout($linkPreview.hideTimer) })
+        card.addEventListener('mouseleave', $linkPreview.scheduleHide)
+        document.body.appendChild(card)
+
+        $linkPreview.el = card
+        return card
+    },
+    render: function (preview) {
+        var card = $linkPreview.el || $linkPreview.create()
+        card.innerHTML =
+            '<h5 class="link-preview-title"></h5>' +
+            '<p class="link-preview-meta"></p>' +
+            '<p class="link-preview-excerpt"></p>'
+
+        var title = card.querySelector('.link-preview-title')
+        title.textContent = preview.title
+        if (preview.section) {
+            var section = document.createElement('span')
+            section.className = 'search-breadcrumb'
+            section.textContent = ' › ' + preview.section
+            title.appendChild(section)
+        }
+
+        var meta = card.querySelector('.link-preview-meta')
+        if (preview.date) {
+            var time = document.createElement('time')
+            time.dateTime = preview.date
+            time.textContent = preview.date.slice(0, 10)
+            meta.appendChild(time)
+        }
+        preview.tags.forEach(function (tag) {
+            var tagEl = document.createElement('span')
+            tagEl.className = 'tag post-item-tag'
+            tagEl.textContent = tag
+            meta.appendChild(tagEl)
+        })
+
+        card.querySelector('.link-preview-excerpt').textContent = preview.excerpt
+        return card
+    },
+    /**
+     * Below the link, or above it when there is no room, always within the viewport
+     */
+    position: function (card, link) {
+        var rect = link.getBoundingClientRect()
+        var cardRect = card.getBoundingClientRect()
+        var margin = 8
+
+        var top = rect.bottom + margin
+        if (top + cardRect.height > window.innerHeight && rect.top - margin - cardRect.height > 0) {
+            top = rect.top - margin - cardRect.height
+        }
+        var left = Math.min(Math.max(margin, rect.left), window.innerWidth - cardRect.width - margin)
+
+        card.style.top = top + window.pageYOffset + 'px'
+        card.style.left = Math.max(margin, left) + window.pageXOffset + 'px'
+    },
+    show: function (link) {
+        var target = $linkPreview.target(link)
+        if (!target) return
+
+        clearTimeout($linkPreview.hideTimer)
+        $linkPreview.link = link
+
+        $linkPreview.fetch(target).then(function (preview) {
+            // The reader may have moved on while the index was loading
+            if (!preview || $linkPreview.link !== link) return
+
+            var card = $linkPreview.render(preview)
+            card.classList.add('is-active')
+            $linkPreview.position(card, link)
+            link.setAttribute('aria-describedby', card.id)
+        })
+    },
+    hide: function () {
+        clearTimeout($linkPreview.showTimer)
+        clearTimeout($linkPreview.hideTimer)
+
+        var link = $linkPreview.link
+        link && link.removeAttribute('aria-describedby')
+        $linkPreview.link = null
+        $linkPreview.el && $linkPreview.el.classList.remove('is-active')
+    },
+    // Links only passed over never get to show, so they do not load the search index
+    scheduleShow: function (link) {
+        clearTimeout($linkPreview.showTimer)
+        $linkPreview.showTimer = setTimeout(function () { $linkPreview.show(link) }, $linkPreview.SHOW_DELAY)
+    },
+    scheduleHide: function () {
+        clearTimeout($linkPreview.showTimer)
+        clearTimeout($linkPreview.hideTimer)
+        $linkPreview.hideTimer = setTimeout($linkPreview.hide, $linkPreview.HIDE_DELAY)
+    },
+    linkOf: function (evt) {
+        var link = evt.target.closest && evt.target.closest('.post-content a[href]')
+        return $linkPreview.target(link) ? link : null
+    },
+    mounted: function () {
+        document.addEventListener('mouseover', function (evt) {
+            var link = $linkPreview.linkOf(evt)
+            if (!link || link.contains(evt.relatedTarget)) return
+
+            link === $linkPreview.link ? clearTimeout($linkPreview.hideTimer) : $linkPreview.scheduleShow(link)
+        })
+        document.addEventListener('mouseout', function (evt) {
+            var link = $linkPreview.linkOf(evt)
+            if (link && !link.contains(evt.relatedTarget)) $linkPreview.scheduleHide()
+        })
+
+        document.addEventListener('focusin', function (evt) {
+            var link = $linkPreview.linkOf(evt)
+            if (link) $linkPreview.scheduleShow(link)
+        })
+        document.addEventListener('focusout', function (evt) {
+            if ($linkPreview.linkOf(evt)) $linkPreview.scheduleHide()
+        })
+        document.addEventListener('keydown', function (evt) {
+            if ((evt.key === 'Escape' || evt.key === 'Esc') && $linkPreview.link) $linkPreview.hide()
+        })
+
+        // Long-press opens the card on touch screens, without following the link
+        document.addEventListener('touchstart', function (evt) {
+            var link = $linkPreview.linkOf(evt)
+            $linkPreview.isLongPress = false
+            if (!link) {
+                $linkPreview.link && !evt.target.closest('.link-preview') && $linkPreview.hide()
+                return
+            }
+
+            clearTimeout($linkPreview.pressTimer)
+            $linkPreview.pressTimer = setTimeout(function () {
+                $linkPreview.isLongPress = true
+                $linkPreview.show(link)
+            }, $linkPreview.LONG_PRESS)
+        }, { passive: true })
+        document.addEventListener('touchmove', function () { clearTimeout($linkPreview.pressTimer) }, { passive: true })
+        document.addEventListener('touchend', function () { clearTimeout($linkPreview.pressTimer) })
+        document.addEventListener('click', function (evt) {
+            if (!$linkPreview.isLongPress || !$linkPreview.linkOf(evt)) return
+
+            $linkPreview.isLongPress = false
+            evt.preventDefault()
+        }, true)
+        document.addEventListener('contextmenu', function (evt) {
+            // Keep the system menu from covering the card
+            if ($linkPreview.isLongPress && $linkPreview.linkOf(evt)) evt.preventDefault()
+        })
+    }
+}
+
+$linkPreview.mounted()
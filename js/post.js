@@ -6,147 +6,531 @@ var $posts = {
         }
         Scroller.prototype.bindScrollEvent = function () {
             var _that = this
+            // Shared by every scroll event, so callbacks run at most once per 150ms
+            var wait = false
+            var idleTimer = null
+
+            function run(event, beforeOffsetY) {
+                var params = {
+                    event: event,
+                    beforeOffsetY: beforeOffsetY,
+                }
+                _that.callbacks.forEach(function (func) { func(params) })
+            }
 
             window.addEventListener('scroll', function (event) {
-                var wait = false
-                var beforeOffsetY = window.pageYOffset
+                if (!wait) {
+                    wait = true
 
-                if (wait) return
-                wait = true
+                    // Offset where this batch of scrolling started, to tell its direction
+                    var beforeOffsetY = window.pageYOffset
 
-                setTimeout(function () {
-                    var params = {
-                        event: event,
-                        beforeOffsetY: beforeOffsetY,
-                    }
-                    _that.callbacks.forEach(function (func) { func(params) })
+                    setTimeout(function () {
+                        run(event, beforeOffsetY)
+                        wait = false
+                    }, 150)
+                }
 
-                    wait = false
+                // One last call once scrolling stopped, with the final offset, so the
+                // end of a scroll always reaches the callbacks as "not scrolled since"
+                clearTimeout(idleTimer)
+                idleTimer = setTimeout(function () {
+                    run(event, window.pageYOffset)
                 }, 150)
             })
         }
 
         return Scroller
     },
+    // States of the #postTopic bar and the class showing each
+    topicStates: {
+        hidden: 'is-hidden-topic-bar',
+        immediate: 'immediately-show',
+        scrollToTopTips: 'is-show-scrollToTop-tips',
+        flashScrollToTopTips: 'is-flash-scrollToTop-tips',
+        switchTitle: 'is-switch-post-title',
+        showTitle: 'is-show-post-title'
+    },
+    topicState: 'hidden',
+    /**
+     * Next state of the #postTopic bar. Pure, so every transition can be tested
+     * without a page:
+     *   above the post title                -> hidden
+     *   not scrolled since                  -> immediate, or flashScrollToTopTips after scrollToTopTips
+     *   scrolling up, far down              -> scrollToTopTips
+     *   scrolling up                        -> switchTitle
+     *   scrolling down, or no offset before -> showTitle
+     */
+    nextTopicState: function (state, offsetY, beforeOffsetY, threshold, viewportHeight) {
+        if (offsetY <= threshold) return 'hidden'
+
+        var distance = beforeOffsetY - offsetY
+        if (distance === 0) return state === 'scrollToTopTips' ? 'flashScrollToTopTips' : 'immediate'
+        if (distance > 0) return offsetY > viewportHeight * 2 ? 'scrollToTopTips' : 'switchTitle'
+        return 'showTitle'
+    },
     showTopic: function (evt) {
         var topicEl = document.getElementById('postTopic')
         var postTitle = document.getElementById('postTitle')
 
         var postTitleCoordinate = postTitle.getBoundingClientRect()
         var threshold = postTitle.offsetTop + postTitleCoordinate.height
+        var state = $posts.nextTopicState($posts.topicState, window.pageYOffset, evt && evt.beforeOffsetY, threshold, window.innerHeight)
 
-        // show title
-        if (window.pageYOffset > threshold) {
-            var beforeOffsetY = evt && evt.beforeOffsetY
-            var isScrollToTop = beforeOffsetY - window.pageYOffset > 0
+        Object.keys($posts.topicStates).forEach(function (name) {
+            topicEl.classList.toggle($posts.topicStates[name], name === state)
+        })
+        $posts.topicState = state
+    },
+    /**
+     * Show where the reader is in the #postTopic bar, "Post › Section › Subsection",
+     * following the active TOC link. Sections can be clicked to jump to them, the
+     * post title still scrolls back to the top.
+     */
+    topicBreadcrumb: function (activeLink) {
+        var titleEl = document.querySelector('#postTopic p')
+        if (!titleEl) return
+
+        if (!titleEl.dataset.title) titleEl.dataset.title = titleEl.textContent
+        titleEl.classList.add('topic-breadcrumb')
 
-            topicEl.classList.remove('is-hidden-topic-bar')
+        var links = []
+        for (var item = activeLink && activeLink.closest('.toc-item'); item; item = item.parentNode.closest('.toc-item')) {
+            var link = item.querySelector(':scope > a[href]')
+            link && links.unshift(link)
+        }
 
-            if (beforeOffsetY - window.pageYOffset === 0) {
-                topicEl.classList.remove('is-switch-post-title')
-                topicEl.classList.remove('is-show-post-title')
-                topicEl.classList.remove('immediately-show')
+        var fragment = document.createDocumentFragment()
+        var title = document.createElement('span')
+        title.className = 'topic-segment'
+        title.textContent = titleEl.dataset.title
+        fragment.appendChild(title)
 
-                if (topicEl.classList.contains('is-show-scrollToTop-tips')) {
-                    topicEl.classList.remove('is-show-scrollToTop-tips')
-                    topicEl.classList.add('is-flash-scrollToTop-tips')
-                }
-                else {
-                    topicEl.classList.add('immediately-show')
-                }
+        links.forEach(function (link) {
+            var separator = document.createElement('span')
+            separator.className = 'topic-separator'
+            separator.textContent = ' › '
+            fragment.appendChild(separator)
+
+            var segment = document.createElement('a')
+            segment.className = 'topic-segment'
+            segment.href = link.getAttribute('href')
+            segment.textContent = link.textContent.trim()
+            fragment.appendChild(segment)
+        })
+
+        titleEl.innerHTML = ''
+        titleEl.appendChild(fragment)
+        titleEl.title = titleEl.textContent
+    },
+    /**
+     * Scroll-spy for the table of contents. An IntersectionObserver reports headings
+     * crossing the line below the sticky header, so scrolling itself reads no layout,
+     * and the TOC only changes when another section becomes active. Browsers without
+     * one read the headings' positions in a callback of scroller instead.
+     * onActivate is called with the newly active TOC link.
+     */
+    tocScrollSpy: function (onActivate, scroller) {
+        var tocContainer = document.querySelector('.toc')
+        if (!tocContainer) return false
+
+        var activeClassName = 'is-active'
+        var spacing = 60
+        var links = []
+        var headings = []
+
+        tocContainer.querySelectorAll('a[href^="#"]').forEach(function (link) {
+            var id = link.getAttribute('href').slice(1)
+            try {
+                id = decodeURI(id)
+            } catch (e) { /* keep the raw id */ }
+
+            var heading = document.getElementById(id)
+            if (!heading) return
+
+            links.push(link)
+            headings.push(heading)
+        })
+        if (headings.length === 0) return false
+
+        var isAbove = headings.map(function () { return false })
+        var activeIdx = -1
+
+        function activate(idx) {
+            if (idx === activeIdx) return
+
+            var before = links[activeIdx]
+            before && before.classList.remove(activeClassName)
+            activeIdx = idx
+
+            var direc = links[idx]
+            onActivate && onActivate(direc || null)
+            if (!direc) return
+            direc.classList.add(activeClassName)
+
+            var tocContainerHeight = tocContainer.getBoundingClientRect().height
+            if (direc.offsetTop >= tocContainerHeight - spacing) {
+                tocContainer.scrollTo({
+                    top: direc.offsetTop + 100 - tocContainerHeight,
+                })
             }
-            // scroll to up👆
-            else if (isScrollToTop) {
-                // show scroll to top tips
-                if (window.pageYOffset > window.innerHeight * 2) {
-                    topicEl.classList.remove('immediately-show')
-                    topicEl.classList.remove('is-show-post-title')
-                    topicEl.classList.remove('is-switch-post-title')
-                    topicEl.classList.remove('is-flash-scrollToTop-tips')
-
-                    topicEl.classList.add('is-show-scrollToTop-tips')
-                }
-                // show post title
-                else {
-                    topicEl.classList.remove('immediately-show')
-                    topicEl.classList.remove('is-show-post-title')
-                    topicEl.classList.remove('is-show-scrollToTop-tips')
-                    topicEl.classList.remove('is-flash-scrollToTop-tips')
-
-                    topicEl.classList.add('is-switch-post-title')
-                }
+            else {
+                tocContainer.scrollTo({ top: 0 })
             }
-            // scroll to down👇
-            else if (beforeOffsetY - window.pageYOffset !== 0) {
-                topicEl.classList.remove('immediately-show')
-                topicEl.classList.remove('is-switch-post-title')
-                topicEl.classList.remove('is-show-scrollToTop-tips')
-                topicEl.classList.remove('is-flash-scrollToTop-tips')
-                topicEl.classList.add('is-show-post-title')
+        }
+
+        var line = $posts.headerOffset() + 10
+        if (!window.IntersectionObserver) {
+            var update = function () {
+                var idx = -1
+                while (idx + 1 < headings.length && headings[idx + 1].getBoundingClientRect().top < line) idx++
+                activate(idx)
             }
+            scroller.callbacks.push(update)
+            update()
+            return update
+        }
+
+        var observer = new IntersectionObserver(function (entries) {
+            entries.forEach(function (entry) {
+                var rootTop = entry.rootBounds ? entry.rootBounds.top : line
+                isAbove[headings.indexOf(entry.target)] = entry.boundingClientRect.top < rootTop
+            })
+
+            // The active section is the last one whose heading went above the line
+            activate(isAbove.lastIndexOf(true))
+        }, {
+            // Everything from the line down counts as "below", however far. Threshold 1
+            // reports a heading's top crossing the line, 0 a jump right past it.
+            rootMargin: -line + 'px 0px 100000px 0px',
+            threshold: [0, 1]
+        })
+
+        headings.forEach(function (heading) { observer.observe(heading) })
+        return observer
+    },
+    /**
+     * Make the nested .toc-child lists collapsible. Returns a function expanding the
+     * branch around the active link and collapsing the rest, except for branches
+     * the reader expanded or collapsed by hand.
+     */
+    tocTree: function (tocContainer) {
+        var items = []
+
+        tocContainer.querySelectorAll('.toc-item').forEach(function (item) {
+            var childList = item.querySelector(':scope > .toc-child')
+            if (!childList) return
+
+            var toggle = document.createElement('button')
+            toggle.className = 'toc-toggle'
+            toggle.type = 'button'
+            toggle.setAttribute('aria-label', 'Toggle section')
+            toggle.addEventListener('click', function () {
+                var isExpanded = item.classList.contains('is-collapsed')
+                item.dataset.tocManual = isExpanded ? 'expanded' : 'collapsed'
+                setExpanded(item, isExpanded)
+            })
+
+            item.classList.add('has-toc-child')
+            item.insertBefore(toggle, item.firstChild)
+            items.push(item)
+        })
+
+        function setExpanded(item, isExpanded) {
+            item.classList.toggle('is-collapsed', !isExpanded)
+            item.firstChild.setAttribute('aria-expanded', String(isExpanded))
+        }
+
+        function expandAround(activeLink) {
+            items.forEach(function (item) {
+                var manual = item.dataset.tocManual
+                // Before the first section only the outermost level is open
+                var isAround = activeLink ? item.contains(activeLink) : item.parentNode === tocContainer
+                setExpanded(item, manual ? manual === 'expanded' : isAround)
+            })
+        }
+
+        expandAround(null)
+        return expandAround
+    },
+    /**
+     * Floating button opening the TOC in a slide-in drawer on narrow screens. The
+     * .toc element itself moves into the drawer, so scroll-spy and toggles keep working.
+     */
+    tocDrawer: function (tocContainer) {
+        var home = tocContainer.parentNode
+        var page = tocContainer.closest('.post-page') || document.body
+
+        var button = document.createElement('button')
+        button.className = 'toc-drawer-button'
+        button.type = 'button'
+        button.setAttribute('aria-label', 'Table of contents')
+        button.setAttribute('aria-expanded', 'false')
+        button.innerHTML = '<i class="toc-drawer-icon"></i>'
+
+        var drawer = document.createElement('div')
+        drawer.className = 'toc-drawer'
+        drawer.innerHTML =
+            '<div class="toc-drawer-backdrop"></div>' +
+            '<nav class="toc-drawer-panel" aria-label="Table of contents">' +
+                '<header class="toc-drawer-header"><h3>Contents</h3>' +
+                    '<button class="toc-drawer-close" type="button" aria-label="Close">&times;</button>' +
+                '</header>' +
+            '</nav>'
+
+        var panel = drawer.querySelector('.toc-drawer-panel')
+        var closeTimer = null
+
+        function open() {
+            clearTimeout(closeTimer)
+            panel.appendChild(tocContainer)
+            button.setAttribute('aria-expanded', 'true')
+            document.documentElement.classList.add('toc-drawer-open')
+
+            // Let the drawer render once before sliding it in
+            window.requestAnimationFrame(function () {
+                drawer.classList.add('is-active')
+                var active = tocContainer.querySelector('.is-active') || tocContainer.querySelector('a')
+                active && active.focus({ preventScroll: true })
+            })
         }
-        else{
-            // hidden all
-            topicEl.classList.remove('is-flash-scrollToTop-tips')
-            topicEl.classList.remove('is-show-scrollToTop-tips')
-            topicEl.classList.remove('is-switch-post-title')
-            topicEl.classList.remove('is-show-post-title')
-            topicEl.classList.remove('immediately-show')
+        function close() {
+            if (!drawer.classList.contains('is-active')) return
+
+            drawer.classList.remove('is-active')
+            button.setAttribute('aria-expanded', 'false')
+            document.documentElement.classList.remove('toc-drawer-open')
+            button.focus({ preventScroll: true })
 
-            topicEl.classList.add('is-hidden-topic-bar')
+            // Back into the aside once the slide-out is over
+            closeTimer = setTimeout(function () { home.appendChild(tocContainer) }, 300)
         }
+
+        button.addEventListener('click', open)
+        drawer.querySelector('.toc-drawer-backdrop').addEventListener('click', close)
+        drawer.querySelector('.toc-drawer-close').addEventListener('click', close)
+        panel.addEventListener('click', function (evt) {
+            evt.target.closest('.toc a[href]') && close()
+        })
+        document.addEventListener('keydown', function (evt) {
+            if (evt.key === 'Escape' || evt.key === 'Esc') close()
+        })
+
+        page.appendChild(button)
+        page.appendChild(drawer)
     },
-    catalogueHighlight: function () {
-        var directory = document.querySelectorAll('.toc a')
-        if (directory.length === 0) {
-            return false
+    // Reading speed per minute for each kind of content
+    readingRates: {
+        cjkChars: 400,
+        latinWords: 200,
+        codeLines: 20,
+        blockMath: 4,
+        inlineMath: 20
+    },
+    /**
+     * Minutes it takes to read an article. CJK characters and Latin words are read
+     * at their own pace, code is counted by line and MathJax equations one by one.
+     */
+    readingTime: function (article) {
+        var rates = $posts.readingRates
+        var content = article.cloneNode(true)
+        var codeLines = 0
+
+        content.querySelectorAll('figure.highlight, pre').forEach(function (block) {
+            if (!content.contains(block)) return
+
+            // Mermaid sources are drawn as diagrams, not read as code
+            if (!block.classList.contains('mermaid')) {
+                var lines = block.querySelectorAll('td.code .line').length
+                codeLines += lines || block.textContent.replace(/\n+$/, '').split('\n').length
+            }
+            block.parentNode.removeChild(block)
+        })
+
+        var blockMath = content.querySelectorAll('mjx-container[display="true"]').length
+        var inlineMath = content.querySelectorAll('mjx-container').length - blockMath
+        content.querySelectorAll('mjx-container').forEach(function (math) {
+            math.parentNode && math.parentNode.removeChild(math)
+        })
+
+        var cjkPattern = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/g
+        var text = content.textContent
+        var cjkChars = (text.match(cjkPattern) || []).length
+        var latinWords = (text.replace(cjkPattern, ' ').match(/[a-z0-9\u00c0-\u024f]+(?:['\u2019][a-z]+)*/gi) || []).length
+
+        return cjkChars / rates.cjkChars +
+            latinWords / rates.latinWords +
+            codeLines / rates.codeLines +
+            blockMath / rates.blockMath +
+            inlineMath / rates.inlineMath
+    },
+    /**
+     * Progress bar over the article body, with the estimated reading time next to
+     * the post date and the time left in a corner while reading
+     */
+    readingProgress: function () {
+        var article = document.querySelector('.post-content')
+        if (!article) return false
+
+        var minutes = $posts.readingTime(article)
+        function formatMinutes(value) {
+            return Math.max(1, Math.round(value)) + ' min'
         }
 
-        var tocContainer = document.querySelector('.toc')
+        var timeEl = document.querySelector('#postTitle ~ time')
+        if (timeEl) {
+            var readingTimeEl = document.createElement('span')
+            readingTimeEl.className = 'reading-time has-text-grey'
+            readingTimeEl.textContent = formatMinutes(minutes) + ' read'
+            timeEl.parentNode.insertBefore(readingTimeEl, timeEl.nextSibling)
+        }
+
+        var progressEl = document.createElement('div')
+        progressEl.className = 'reading-progress'
+        progressEl.setAttribute('role', 'progressbar')
+        progressEl.setAttribute('aria-label', 'Reading progress')
+        progressEl.setAttribute('aria-valuemin', '0')
+        progressEl.setAttribute('aria-valuemax', '100')
+        progressEl.innerHTML = '<span class="reading-progress-bar"></span>'
+        document.body.appendChild(progressEl)
+
+        var remainingEl = document.createElement('div')
+        remainingEl.className = 'reading-remaining'
+        remainingEl.setAttribute('aria-hidden', 'true')
+        document.body.appendChild(remainingEl)
+
         return function () {
-            var contentTocList = []
-            var activeClassName = 'is-active'
+            var rect = article.getBoundingClientRect()
+            var scrollable = rect.height - window.innerHeight
+            // 0 while the article top is in view, 1 once its end scrolled into view
+            var progress = scrollable > 0 ? Math.min(1, Math.max(0, -rect.top / scrollable)) : 1
+            var remaining = formatMinutes(minutes * (1 - progress)) + ' left'
 
-            directory.forEach(function (link) {
-                if (!link.href) return
-                var id = decodeURI(link.href).split('#')[1]
-                contentTocList.push(document.getElementById(id))
-            })
-            var spacing = 60
-            var activeTopicEl = null
-            var scrollTop = window.pageYOffset
-            for (var i = 0; i < contentTocList.length; i++) {
-                var currentTopic = contentTocList[i]
-
-                if (currentTopic.offsetTop > scrollTop + spacing / 2) {
-                    // jump to next loop
-                    continue
-                }
+            progressEl.firstChild.style.transform = 'scaleX(' + progress + ')'
+            progressEl.setAttribute('aria-valuenow', String(Math.round(progress * 100)))
+            progressEl.setAttribute('aria-valuetext', remaining)
 
-                if (!activeTopicEl) {
-                    activeTopicEl = currentTopic
-                } else if (currentTopic.offsetTop + spacing >= activeTopicEl.offsetTop - spacing) {
-                    activeTopicEl = currentTopic
-                }
+            remainingEl.textContent = remaining
+            remainingEl.classList.toggle('is-active', progress > 0 && progress < 1)
+        }
+    },
+    RESUME_KEY: 'claudia-reading-positions',
+    RESUME_LIMIT: 50,
 
-                var beforeActiveEl = document.querySelector('.toc' + ' .' + activeClassName)
-                beforeActiveEl && beforeActiveEl.classList.remove(activeClassName)
+    getReadingPositions: function () {
+        try {
+            return JSON.parse(localStorage.getItem($posts.RESUME_KEY)) || {}
+        } catch (e) {
+            return {}
+        }
+    },
+    saveReadingPositions: function (positions) {
+        try {
+            localStorage.setItem($posts.RESUME_KEY, JSON.stringify(positions))
+        } catch (e) { /* noop */ }
+    },
+    clearReadingPositions: function () {
+        try {
+            localStorage.removeItem($posts.RESUME_KEY)
+        } catch (e) { /* noop */ }
+    },
+    /**
+     * Where the reader is as { id, offset }: the last heading scrolled past and how far
+     * into its section, as a fraction of the section height. Layout changes move pixels,
+     * not sections. null before the first heading.
+     */
+    readingPosition: function (headings, article) {
+        var line = $posts.headerOffset()
+        var articleBottom = article.getBoundingClientRect().bottom
 
-                var selectTarget = '.toc a[href="#' + encodeURI(activeTopicEl.id) + '"]'
-                var direc = document.querySelector(selectTarget)
-                direc.classList.add(activeClassName)
+        for (var i = headings.length - 1; i >= 0; i--) {
+            var top = headings[i].getBoundingClientRect().top
+            if (top > line) continue
 
-                var tocContainerHeight = tocContainer.getBoundingClientRect().height
-                if (direc.offsetTop >= tocContainerHeight - spacing) {
-                    tocContainer.scrollTo({
-                        // top: direc.offsetTop - spacing,
-                        top: direc.offsetTop + 100 - tocContainerHeight,
-                    })
-                }
-                else {
-                    tocContainer.scrollTo({ top: 0 })
-                }
+            var end = headings[i + 1] ? headings[i + 1].getBoundingClientRect().top : articleBottom
+            return {
+                id: headings[i].id,
+                offset: end > top ? Math.min(1, (line - top) / (end - top)) : 0
+            }
+        }
+        return null
+    },
+    scrollToReadingPosition: function (position) {
+        var heading = document.getElementById(position.id)
+        if (!heading) return
+
+        var article = heading.closest('.post-content')
+        var headings = Array.prototype.slice.call(article.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'))
+        var next = headings[headings.indexOf(heading) + 1]
+        var top = heading.getBoundingClientRect().top
+        var end = next ? next.getBoundingClientRect().top : article.getBoundingClientRect().bottom
+
+        window.scrollTo(0, window.pageYOffset + top + (end - top) * position.offset - $posts.headerOffset())
+    },
+    showResumePrompt: function (position) {
+        var heading = document.getElementById(position.id)
+        if (!heading) return
+
+        var prompt = document.createElement('div')
+        prompt.className = 'resume-prompt'
+        prompt.setAttribute('role', 'dialog')
+        prompt.setAttribute('aria-label', 'Resume reading')
+        prompt.innerHTML =
+            '<p class="resume-prompt-text"></p>' +
+            '<button class="resume-prompt-continue" type="button">Continue</button>' +
+            '<button class="resume-prompt-clear" type="button" title="Forget the saved position of every post">Clear saved</button>' +
+            '<button class="resume-prompt-close" type="button" aria-label="Dismiss">&times;</button>'
+        prompt.querySelector('.resume-prompt-text').textContent = 'Continue from \'' + heading.textContent.trim() + '\'?'
+        document.body.appendChild(prompt)
+
+        function close() {
+            prompt.parentNode && prompt.parentNode.removeChild(prompt)
+        }
+
+        prompt.querySelector('.resume-prompt-continue').addEventListener('click', function () {
+            close()
+            $posts.scrollToReadingPosition(position)
+        })
+        prompt.querySelector('.resume-prompt-clear').addEventListener('click', function () {
+            close()
+            $posts.clearReadingPositions()
+        })
+        prompt.querySelector('.resume-prompt-close').addEventListener('click', close)
+    },
+    /**
+     * Offer to continue from the saved position of this post, and keep saving it while reading.
+     * Finishing the post, or going back above its first heading, forgets it again.
+     */
+    resumeReading: function () {
+        var article = document.querySelector('.post-content')
+        var headings = article ? article.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]') : []
+        if (headings.length === 0) return false
+
+        var path = window.location.pathname
+        var saved = $posts.getReadingPositions()[path]
+        if (saved && !window.location.hash) $posts.showResumePrompt(saved)
+
+        return function () {
+            var positions = $posts.getReadingPositions()
+            var isFinished = article.getBoundingClientRect().bottom <= window.innerHeight
+            var position = isFinished ? null : $posts.readingPosition(headings, article)
+
+            if (!position) {
+                if (!positions[path]) return
+                delete positions[path]
             }
+            else {
+                position.time = Date.now()
+                positions[path] = position
+
+                // Only remember the most recently read posts
+                Object.keys(positions).sort(function (a, b) {
+                    return positions[b].time - positions[a].time
+                }).slice($posts.RESUME_LIMIT).forEach(function (key) {
+                    delete positions[key]
+                })
+            }
+            $posts.saveReadingPositions(positions)
         }
     },
     smoothScrollToTop: function() {
@@ -158,6 +542,1160 @@ var $posts = {
             scrollTo(0, 0);
         }
     },
+    /**
+     * Copy text with the async clipboard API, falling back to a hidden
+     * textarea and execCommand where it is missing or denied
+     */
+    copyText: function (text) {
+        function fallback() {
+            var area = document.createElement('textarea')
+            area.value = text
+            document.body.appendChild(area)
+            area.select()
+            document.execCommand('copy')
+            document.body.removeChild(area)
+        }
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text).catch(fallback)
+        }
+        return new Promise(function (resolve) {
+            fallback()
+            resolve()
+        })
+    },
+    /**
+     * Hover "#" links on h2-h4 that copy the section url and move to the section
+     */
+    headingAnchors: function () {
+        document.querySelectorAll('.post-content h2[id], .post-content h3[id], .post-content h4[id]').forEach(function (heading) {
+            var hash = '#' + encodeURIComponent(heading.id)
+            var anchor = document.createElement('a')
+            anchor.className = 'heading-anchor'
+            anchor.href = hash
+            anchor.setAttribute('aria-label', 'Copy link to this section')
+
+            anchor.addEventListener('click', function (evt) {
+                evt.preventDefault()
+
+                var url = window.location.href.split('#')[0] + hash
+                $posts.copyText(url).then(function () {
+                    anchor.classList.add('is-copied')
+                    setTimeout(function () { anchor.classList.remove('is-copied') }, 1200)
+                }).catch(function () { /* noop */ })
+
+                window.history.pushState(null, '', hash)
+                $posts.revealHashTarget()
+            })
+            heading.appendChild(anchor)
+        })
+    },
+    /**
+     * Scroll to the next (1) or previous (-1) heading of the post
+     */
+    jumpToHeading: function (direction) {
+        var line = $posts.headerOffset()
+        var headings = Array.prototype.slice.call(document.querySelectorAll('.post-content h1[id], .post-content h2[id], .post-content h3[id], .post-content h4[id], .post-content h5[id], .post-content h6[id]'))
+        if (direction < 0) headings.reverse()
+
+        // A few pixels of slack, so the heading just jumped to does not count again
+        var target = headings.find(function (heading) {
+            var top = heading.getBoundingClientRect().top
+            return direction > 0 ? top > line + 5 : top < line - 5
+        })
+        target && window.scrollTo(0, target.getBoundingClientRect().top + window.pageYOffset - line)
+    },
+    followJumpLink: function (iconClassName) {
+        var icon = document.querySelector('.jump-container .' + iconClassName)
+        var link = icon && icon.closest('a[href]')
+        if (link) window.location.href = link.href
+    },
+    jumpToComments: function () {
+        var comments = document.querySelector('.comment-container')
+        comments && window.scrollTo(0, comments.getBoundingClientRect().top + window.pageYOffset - $posts.headerOffset())
+    },
+    // Entries without an action are bound elsewhere and only listed in the help
+    shortcuts: [
+        { key: 'j', description: 'Next heading', action: function () { $posts.jumpToHeading(1) } },
+        { key: 'k', description: 'Previous heading', action: function () { $posts.jumpToHeading(-1) } },
+        { key: 'n', description: 'Next post', action: function () { $posts.followJumpLink('icon-next') } },
+        { key: 'p', description: 'Previous post', action: function () { $posts.followJumpLink('icon-prev') } },
+        { key: 't', description: 'Back to the top', action: function () { $posts.smoothScrollToTop() } },
+        { key: 'c', description: 'Jump to comments', action: function () { $posts.jumpToComments() } },
+        { key: 'r', description: 'Toggle reader mode', action: function () { $posts.updateReaderPrefs({ enabled: !$claudia.getReaderPrefs().enabled }) } },
+        { key: '/', description: 'Search posts' },
+        { key: '?', description: 'Show this help', action: function () { $posts.toggleShortcutsHelp() } }
+    ],
+    shortcutsHelpEl: null,
+    toggleShortcutsHelp: function () {
+        var overlay = $posts.shortcutsHelpEl
+        if (overlay && overlay.classList.contains('is-active')) {
+            overlay.classList.remove('is-active')
+            overlay._lastFocused && overlay._lastFocused.focus && overlay._lastFocused.focus()
+            return
+        }
+
+        if (!overlay) {
+            overlay = $posts.shortcutsHelpEl = document.createElement('div')
+            overlay.className = 'shortcuts-help-overlay'
+            overlay.innerHTML =
+                '<div class="shortcuts-help" role="dialog" aria-modal="true" aria-label="Keyboard shortcuts" tabindex="-1">' +
+                    '<h3>Keyboard shortcuts</h3>' +
+                    '<dl>' +
+                        $posts.shortcuts.map(function (shortcut) {
+                            return '<dt><kbd>' + shortcut.key + '</kbd></dt><dd>' + shortcut.description + '</dd>'
+                        }).join('') +
+                    '</dl>' +
+                '</div>'
+            overlay.addEventListener('mousedown', function (evt) {
+                evt.target === overlay && $posts.toggleShortcutsHelp()
+            })
+            document.body.appendChild(overlay)
+        }
+
+        overlay._lastFocused = document.activeElement
+        overlay.classList.add('is-active')
+        overlay.firstChild.focus()
+    },
+    keyboardShortcuts: function () {
+        document.addEventListener('keydown', function (evt) {
+            if (evt.ctrlKey || evt.metaKey || evt.altKey || evt.defaultPrevented) return
+            if ($claudia.isTyping(evt.target)) return
+
+            // The Mermaid modal owns the keyboard (+/-/0) while it is open, so do other dialogs
+            var rootClassList = document.documentElement.classList
+            if (rootClassList.contains('mermaid-modal-open') || rootClassList.contains('search-palette-open')) return
+
+            var helpEl = $posts.shortcutsHelpEl
+            var isHelpOpen = helpEl && helpEl.classList.contains('is-active')
+            if (isHelpOpen && (evt.key === 'Escape' || evt.key === 'Esc')) {
+                $posts.toggleShortcutsHelp()
+                return
+            }
+
+            var shortcut = $posts.shortcuts.find(function (item) { return item.key === evt.key && item.action })
+            if (!shortcut || (isHelpOpen && evt.key !== '?')) return
+
+            evt.preventDefault()
+            shortcut.action()
+        })
+    },
+    // Height covered by the fixed header holding the #postTopic bar, desktop or mobile
+    headerOffset: function () {
+        var height = 0
+        document.querySelectorAll('.header-widget').forEach(function (header) {
+            height = Math.max(height, header.getBoundingClientRect().height)
+        })
+        return height + 15
+    },
+    /**
+     * Scroll the section in location.hash below the sticky header and flash it,
+     * e.g. when arriving from a search result deep link
+     */
+    revealHashTarget: function () {
+        if ($posts.revealCodeLines(window.location.hash)) return
+
+        var target = $posts.hashTarget(window.location.hash)
+        if (!target) return
+
+        window.scrollTo(0, target.getBoundingClientRect().top + window.pageYOffset - $posts.headerOffset())
+
+        target.classList.remove('is-target-highlight')
+        // restart the animation when the same target is revealed twice
+        void target.offsetWidth
+        target.classList.add('is-target-highlight')
+        setTimeout(function () { target.classList.remove('is-target-highlight') }, 2000)
+    },
+    // Element a "#id" hash points to, encoded or not, ignoring a text fragment
+    // browsers without support leave in it
+    hashTarget: function (hash) {
+        var id = String(hash || '').replace(/^#/, '').split(':~:')[0]
+        if (!id) return null
+
+        try {
+            id = decodeURIComponent(id)
+        } catch (e) { /* keep the raw id */ }
+
+        return document.getElementById(id)
+    },
+    /**
+     * Footnote and citation references: links into a list item of the post such as
+     * markdown-it's <sup class="footnote-ref"><a href="#fn1">[1]</a></sup>, hexo-footnotes'
+     * <a href="#fn:1" rel="footnote">1</a>, or a plain 3, [3] or [Knuth84] pointing into a
+     * reference list. Links with other text, such as "see step", are left alone.
+     * Returns [{ note, refs }] with every reference of each note.
+     */
+    findFootnotes: function () {
+        var notes = []
+
+        document.querySelectorAll('.post-content a[href^="#"]').forEach(function (link) {
+            if (link.classList.contains('heading-anchor')) return
+
+            var target = $posts.hashTarget(link.getAttribute('href'))
+            var note = target && target.closest('.post-content li')
+            if (!note || note.contains(link)) return
+
+            var isReference = link.closest('sup') || link.matches('[rel="footnote"], [data-footnote-ref]') ||
+                /^\[\d+\]$|^\d+$|^\[[\w.-]{1,12}\]$/.test(link.textContent.trim())
+            if (!isReference) return
+
+            var entry = notes.find(function (item) { return item.note === note })
+            if (!entry) notes.push(entry = { note: note, refs: [] })
+            entry.refs.push(link)
+        })
+        return notes
+    },
+    /**
+     * Give every note "↩" links back to each place it is referenced, replacing the
+     * single one renderers add
+     */
+    footnoteBackrefs: function (entry) {
+        var note = entry.note
+
+        note.querySelectorAll('a[href^="#"]').forEach(function (link) {
+            var target = $posts.hashTarget(link.getAttribute('href'))
+            var isBackref = target && entry.refs.some(function (ref) { return target === ref || target.contains(ref) })
+            isBackref && link.parentNode.removeChild(link)
+        })
+
+        var backrefs = document.createElement('span')
+        backrefs.className = 'footnote-backrefs'
+
+        entry.refs.forEach(function (ref, idx) {
+            var anchor = ref.id ? ref : ref.closest('sup[id]') || ref
+            if (!anchor.id) anchor.id = note.id + '-ref-' + (idx + 1)
+
+            var backref = document.createElement('a')
+            backref.className = 'footnote-backref'
+            backref.href = '#' + encodeURIComponent(anchor.id)
+            backref.setAttribute('aria-label', 'Back to reference ' + (idx + 1))
+            backref.textContent = '↩'
+            if (entry.refs.length > 1) {
+                var count = document.createElement('sup')
+                count.textContent = idx + 1
+                backref.appendChild(count)
+            }
+            backrefs.appendChild(backref)
+        })
+
+        var last = note.lastElementChild
+        var container = last && last.tagName === 'P' ? last : note
+        container.appendChild(backrefs)
+    },
+    /**
+     * Show the note of a reference in a popover on hover, keyboard focus or tap,
+     * instead of jumping to the bottom of the post
+     */
+    footnotes: function () {
+        var notes = $posts.findFootnotes()
+        if (notes.length === 0) return
+
+        var popover = document.createElement('div')
+        popover.className = 'footnote-popover content'
+        popover.id = 'footnotePopover'
+        popover.setAttribute('role', 'tooltip')
+        document.body.appendChild(popover)
+
+        var activeRef = null
+        var hideTimer = null
+        var lastPointerType = ''
+
+        function show(ref, note) {
+            clearTimeout(hideTimer)
+            if (activeRef === ref) return
+            hide()
+
+            var clone = note.cloneNode(true)
+            clone.querySelectorAll('.footnote-backrefs').forEach(function (el) { el.parentNode.removeChild(el) })
+            clone.removeAttribute('id')
+            clone.querySelectorAll('[id]').forEach(function (el) { el.removeAttribute('id') })
+            popover.innerHTML = clone.innerHTML
+            popover.classList.add('is-active')
+
+            var rect = ref.getBoundingClientRect()
+            var popoverRect = popover.getBoundingClientRect()
+            var top = rect.bottom + 8
+            if (top + popoverRect.height > window.innerHeight && rect.top - 8 - popoverRect.height > 0) {
+                top = rect.top - 8 - popoverRect.height
+            }
+            var left = Math.max(8, Math.min(rect.left - 20, window.innerWidth - popoverRect.width - 8))
+            popover.style.top = top + window.pageYOffset + 'px'
+            popover.style.left = left + window.pageXOffset + 'px'
+
+            activeRef = ref
+            ref.setAttribute('aria-describedby', popover.id)
+        }
+        function hide() {
+            clearTimeout(hideTimer)
+            activeRef && activeRef.removeAttribute('aria-describedby')
+            activeRef = null
+            popover.classList.remove('is-active')
+        }
+        function scheduleHide() {
+            clearTimeout(hideTimer)
+            hideTimer = setTimeout(hide, 200)
+        }
+
+        notes.forEach(function (entry) {
+            $posts.footnoteBackrefs(entry)
+
+            entry.refs.forEach(function (ref) {
+                ref.addEventListener('mouseenter', function () { show(ref, entry.note) })
+                ref.addEventListener('mouseleave', scheduleHide)
+                ref.addEventListener('focus', function () { show(ref, entry.note) })
+                ref.addEventListener('blur', scheduleHide)
+                ref.addEventListener('pointerdown', function (evt) { lastPointerType = evt.pointerType })
+                ref.addEventListener('click', function (evt) {
+                    // A tap opens the popover, a second tap on it follows the link
+                    if (lastPointerType !== 'touch' || activeRef === ref) return
+                    evt.preventDefault()
+                    show(ref, entry.note)
+                })
+            })
+        })
+
+        popover.addEventListener('mouseenter', function () { clearTimeout(hideTimer) })
+        popover.addEventListener('mouseleave', scheduleHide)
+        document.addEventListener('pointerdown', function (evt) {
+            if (activeRef && !popover.contains(evt.target) && !activeRef.contains(evt.target)) hide()
+        })
+        document.addEventListener('keydown', function (evt) {
+            if ((evt.key === 'Escape' || evt.key === 'Esc') && activeRef) hide()
+        })
+    },
+    /**
+     * "#:~:text=" directive matching a passage: the whole text when short,
+     * otherwise its first and last words as textStart,textEnd
+     */
+    textFragment: function (text) {
+        function encode(value) {
+            return encodeURIComponent(value).replace(/-/g, '%2D').replace(/,/g, '%2C')
+        }
+
+        text = text.replace(/\s+/g, ' ').trim()
+        var words = text.split(' ')
+        if (words.length > 10) {
+            return ':~:text=' + encode(words.slice(0, 5).join(' ')) + ',' + encode(words.slice(-5).join(' '))
+        }
+        // Chinese runs have no spaces to split on
+        if (text.length > 60) {
+            return ':~:text=' + encode(text.slice(0, 20)) + ',' + encode(text.slice(-20))
+        }
+        return ':~:text=' + encode(text)
+    },
+    // Last heading with an id before a node of the post
+    headingBefore: function (node) {
+        var headings = document.querySelectorAll('.post-content h1[id], .post-content h2[id], .post-content h3[id], .post-content h4[id], .post-content h5[id], .post-content h6[id]')
+        var before = null
+        headings.forEach(function (heading) {
+            if (heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING) before = heading
+        })
+        return before
+    },
+    /**
+     * Link to a selected passage. Browsers without text fragments, or a passage
+     * that changed since, still land on the nearest heading above it.
+     */
+    passageLink: function (range) {
+        var heading = $posts.headingBefore(range.startContainer)
+        var hash = heading ? '#' + encodeURIComponent(heading.id) : '#'
+        return window.location.href.split('#')[0] + hash + $posts.textFragment(range.toString())
+    },
+    // Passage as a Markdown blockquote followed by a link to its post
+    passageQuote: function (range) {
+        var titleEl = document.getElementById('postTitle')
+        var title = (titleEl ? titleEl.textContent : document.title).trim().replace(/([\[\]])/g, '\\$1')
+
+        var lines = range.toString().trim().split(/\n+/).map(function (line) {
+            return ('> ' + line.trim()).trim()
+        })
+        return lines.join('\n>\n') + '\n>\n> — [' + title + '](' + $posts.passageLink(range) + ')\n'
+    },
+    /**
+     * Toolbar over text selected in the post, copying it as a quote or as a link
+     */
+    selectionToolbar: function () {
+        var article = document.querySelector('.post-content')
+        if (!article || !window.getSelection) return
+
+        var toolbar = document.createElement('div')
+        toolbar.className = 'selection-toolbar'
+        toolbar.setAttribute('role', 'toolbar')
+        toolbar.setAttribute('aria-label', 'Share selected text')
+        toolbar.innerHTML =
+            '<button type="button" class="selection-toolbar-btn" data-action="quote">Copy quote</button>' +
+            '<button type="button" class="selection-toolbar-btn" data-action="link">Copy link</button>'
+        document.body.appendChild(toolbar)
+
+        var range = null
+        var updateTimer = null
+
+        function selectedRange() {
+            var selection = window.getSelection()
+            if (!selection.rangeCount || selection.isCollapsed) return null
+
+            var selected = selection.getRangeAt(0)
+            if (!article.contains(selected.commonAncestorContainer) || !selected.toString().trim()) return null
+            return selected
+        }
+        function hide() {
+            range = null
+            toolbar.classList.remove('is-active')
+        }
+        function update() {
+            range = selectedRange()
+            if (!range) {
+                hide()
+                return
+            }
+
+            toolbar.classList.add('is-active')
+            var rect = range.getBoundingClientRect()
+            var toolbarRect = toolbar.getBoundingClientRect()
+            var top = rect.top - toolbarRect.height - 8
+            if (top < $posts.headerOffset()) top = rect.bottom + 8
+            var left = rect.left + rect.width / 2 - toolbarRect.width / 2
+            left = Math.max(8, Math.min(left, window.innerWidth - toolbarRect.width - 8))
+
+            toolbar.style.top = top + window.pageYOffset + 'px'
+            toolbar.style.left = left + window.pageXOffset + 'px'
+        }
+
+        document.addEventListener('selectionchange', function () {
+            // Wait for the selection to settle instead of following every drag step
+            clearTimeout(updateTimer)
+            updateTimer = setTimeout(update, 200)
+        })
+        document.addEventListener('keydown', function (evt) {
+            if ((evt.key === 'Escape' || evt.key === 'Esc') && range) hide()
+        })
+
+        // Keep the selection while pressing a button
+        toolbar.addEventListener('mousedown', function (evt) { evt.preventDefault() })
+        toolbar.addEventListener('click', function (evt) {
+            var button = evt.target.closest('.selection-toolbar-btn')
+            if (!button || !range) return
+
+            var text = button.dataset.action === 'quote' ? $posts.passageQuote(range) : $posts.passageLink(range)
+            var label = button.textContent
+            $posts.copyText(text).then(function () {
+                button.textContent = 'Copied'
+                setTimeout(function () { button.textContent = label }, 1200)
+            }).catch(function () { /* noop */ })
+        })
+    },
+    readerEl: null,
+    /**
+     * Save and apply reader mode preferences, keeping the reader in the same spot
+     * of the post while the layout changes under them
+     */
+    updateReaderPrefs: function (changes) {
+        var prefs = $claudia.getReaderPrefs()
+        Object.keys(changes).forEach(function (name) { prefs[name] = changes[name] })
+
+        var article = document.querySelector('.post-content')
+        var headings = article ? article.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]') : []
+        var position = article && $posts.readingPosition(headings, article)
+
+        $claudia.saveReaderPrefs(prefs)
+        $claudia.applyReaderPrefs(prefs)
+        $posts.readerEl && $posts.renderReaderControls(prefs)
+
+        position && $posts.scrollToReadingPosition(position)
+    },
+    renderReaderControls: function (prefs) {
+        var el = $posts.readerEl
+        el.querySelector('.reader-mode-toggle').setAttribute('aria-pressed', String(prefs.enabled))
+
+        Object.keys($claudia.readerSettings).forEach(function (name) {
+            var setting = $claudia.readerSettings[name]
+            var value = prefs[name]
+            el.querySelector('[data-value="' + name + '"]').textContent = name === 'lineHeight' ? value.toFixed(1) : value
+            el.querySelector('[data-setting="' + name + '"][data-step="-1"]').disabled = value <= setting.min
+            el.querySelector('[data-setting="' + name + '"][data-step="1"]').disabled = value >= setting.max
+        })
+        el.querySelectorAll('[data-font]').forEach(function (button) {
+            button.setAttribute('aria-pressed', String(button.dataset.font === prefs.font))
+        })
+    },
+    /**
+     * Reader mode toggle under the post title. Reader mode hides the aside, profile and
+     * comments, and lets the reader set the size, line height, width and font of the post.
+     * common.js applies the stored preferences before the first paint.
+     */
+    readerMode: function () {
+        var article = document.querySelector('.post-content')
+        if (!article) return
+
+        function stepper(name, label) {
+            return '<span class="reader-setting">' + label +
+                '<button type="button" data-setting="' + name + '" data-step="-1" aria-label="Decrease ' + label.toLowerCase() + '">&minus;</button>' +
+                '<output data-value="' + name + '"></output>' +
+                '<button type="button" data-setting="' + name + '" data-step="1" aria-label="Increase ' + label.toLowerCase() + '">+</button>' +
+            '</span>'
+        }
+
+        var el = $posts.readerEl = document.createElement('div')
+        el.className = 'reader-bar'
+        el.innerHTML =
+            '<button type="button" class="reader-mode-toggle" aria-pressed="false">Reader mode</button>' +
+            '<div class="reader-settings" role="group" aria-label="Reader mode settings">' +
+                stepper('fontSize', 'Size') +
+                stepper('lineHeight', 'Spacing') +
+                stepper('width', 'Width') +
+                '<span class="reader-setting">' +
+                    '<button type="button" data-font="wenkai">WenKai</button>' +
+                    '<button type="button" data-font="maple">Maple Mono</button>' +
+                '</span>' +
+            '</div>'
+
+        el.addEventListener('click', function (evt) {
+            var button = evt.target.closest('button')
+            if (!button) return
+
+            var prefs = $claudia.getReaderPrefs()
+            if (button.classList.contains('reader-mode-toggle')) {
+                $posts.updateReaderPrefs({ enabled: !prefs.enabled })
+            }
+            else if (button.dataset.font) {
+                $posts.updateReaderPrefs({ font: button.dataset.font })
+            }
+            else if (button.dataset.setting) {
+                var name = button.dataset.setting
+                var setting = $claudia.readerSettings[name]
+                var value = prefs[name] + setting.step * Number(button.dataset.step)
+                // Round away float steps such as 1.8 + 0.1
+                value = Math.round(value * 10) / 10
+                var changes = {}
+                changes[name] = Math.min(setting.max, Math.max(setting.min, value))
+                $posts.updateReaderPrefs(changes)
+            }
+        })
+
+        article.parentNode.insertBefore(el, article)
+        $posts.renderReaderControls($claudia.getReaderPrefs())
+    },
+    // "3,7-9" -> [3, 7, 8, 9], leaving out lines past the block's lineCount
+    parseLineRanges: function (text, lineCount) {
+        var lines = []
+        String(text || '').split(',').forEach(function (part) {
+            var match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/)
+            if (!match) return
+
+            var start = Number(match[1])
+            var end = Math.min(lineCount, Math.max(start, Number(match[2] || start)))
+            for (var line = start; line <= end; line++) lines.push(line)
+        })
+        return lines
+    },
+    /**
+     * Split highlighted HTML into one string per line, closing the tags still open
+     * at each line break and opening them again on the next line
+     */
+    splitCodeLines: function (html) {
+        var lines = ['']
+        var openTags = []
+
+        html.split(/(<[^>]+>|\n)/).forEach(function (part) {
+            if (!part) return
+            if (part === '\n') {
+                lines[lines.length - 1] += openTags.map(function () { return '</span>' }).join('')
+                lines.push(openTags.join(''))
+                return
+            }
+
+            if (/^<span\b/.test(part)) openTags.push(part)
+            else if (part === '</span>') openTags.pop()
+            lines[lines.length - 1] += part
+        })
+
+        // Code ends with a line break, not with an empty line
+        if (lines.length > 1 && !lines[lines.length - 1].replace(/<[^>]+>/g, '')) lines.pop()
+        return lines
+    },
+    codeBlockList: null,
+    /**
+     * Code blocks of the post with their lines and line numbers, numbered code-1, code-2...
+     * Hexo's figure.highlight tables already wrap lines in span.line, plain <pre><code>
+     * blocks get their lines wrapped and numbered here.
+     */
+    codeBlocks: function () {
+        var blocks = []
+
+        document.querySelectorAll('.post-content figure.highlight, .post-content pre > code').forEach(function (el) {
+            if (el.tagName === 'CODE' && (el.closest('figure.highlight') || el.matches('.language-mermaid, .mermaid'))) return
+
+            var block = el.tagName === 'CODE' ? el.parentNode : el
+            block.id = block.id || 'code-' + (blocks.length + 1)
+
+            if (el.tagName === 'CODE' && !el.querySelector('.line-number')) {
+                el.innerHTML = $posts.splitCodeLines(el.innerHTML).map(function (line, idx) {
+                    return '<span class="line"><span class="line-number" data-line="' + (idx + 1) + '" aria-hidden="true"></span>' + line + '</span>'
+                }).join('\n')
+            }
+
+            blocks.push({
+                el: block,
+                lines: block.querySelectorAll(el.tagName === 'CODE' ? 'code > .line' : 'td.code .line'),
+                numbers: block.querySelectorAll(el.tagName === 'CODE' ? '.line-number' : 'td.gutter .line')
+            })
+        })
+        return blocks
+    },
+    // { block, start, end } of a "#code-2-L10" or "#code-2-L10-L14" hash
+    codeLineTarget: function (hash) {
+        var match = String(hash || '').match(/^#?(code-\d+)-L(\d+)(?:-L(\d+))?$/)
+        if (!match) return null
+
+        var block = ($posts.codeBlockList || []).find(function (item) { return item.el.id === match[1] })
+        var start = Number(match[2])
+        var end = Number(match[3] || start)
+        if (!block || !block.lines[Math.min(start, end) - 1]) return null
+
+        return { block: block, start: Math.min(start, end), end: Math.min(Math.max(start, end), block.lines.length) }
+    },
+    selectCodeLines: function (target) {
+        document.querySelectorAll('.post-content .line.is-selected, .post-content .line-number.is-selected').forEach(function (line) {
+            line.classList.remove('is-selected')
+        })
+        if (!target) return
+
+        for (var idx = target.start - 1; idx < target.end; idx++) {
+            target.block.lines[idx].classList.add('is-selected')
+            target.block.numbers[idx] && target.block.numbers[idx].classList.add('is-selected')
+        }
+    },
+    revealCodeLines: function (hash) {
+        var target = $posts.codeLineTarget(hash)
+        $posts.selectCodeLines(target)
+        if (!target) return false
+
+        if (target.block.el.classList.contains('is-collapsed')) $posts.setCodeCollapsed(target.block.el, false)
+        if (target.block.el.hidden) $posts.showCodeTab(target.block.el)
+
+        var line = target.block.lines[target.start - 1]
+        window.scrollTo(0, line.getBoundingClientRect().top + window.pageYOffset - $posts.headerOffset() - 60)
+        return true
+    },
+    /**
+     * Emphasize lines marked by the author with a "{3,7-9}" hint in the code block
+     * title or a data-highlight-lines="3,7-9" attribute, and turn line numbers into
+     * permalinks: click one for "#code-2-L10", shift-click another for "#code-2-L10-L14"
+     */
+    codeLineNumbers: function () {
+        var blocks = $posts.codeBlockList = $posts.codeBlocks()
+        var anchor = null
+
+        blocks.forEach(function (block) {
+            var hint = block.el.getAttribute('data-highlight-lines') ||
+                (block.el.querySelector('code') || block.el).getAttribute('data-highlight-lines')
+
+            var caption = block.el.querySelector('figcaption')
+            var captionHint = caption && caption.textContent.match(/\{([\d,\s-]+)\}/)
+            if (captionHint) {
+                hint = captionHint[1]
+                var textEl = caption.querySelector('span') || caption
+                textEl.textContent = textEl.textContent.replace(captionHint[0], '').trim()
+                if (!caption.textContent.trim()) caption.parentNode.removeChild(caption)
+            }
+
+            $posts.parseLineRanges(hint, block.lines.length).forEach(function (number) {
+                var line = block.lines[number - 1]
+                line && line.classList.add('marked')
+            })
+
+            block.numbers.forEach(function (number, idx) {
+                number.classList.add('is-linkable')
+                number.title = 'Link to line ' + (idx + 1)
+            })
+        })
+
+        document.addEventListener('click', function (evt) {
+            var number = evt.target.closest && evt.target.closest('.post-content .is-linkable')
+            if (!number) return
+
+            var block = blocks.find(function (item) { return item.el.contains(number) })
+            var line = Array.prototype.indexOf.call(block.numbers, number) + 1
+            var start = evt.shiftKey && anchor && anchor.block === block ? anchor.line : line
+            if (!evt.shiftKey || !anchor || anchor.block !== block) anchor = { block: block, line: line }
+
+            var hash = '#' + block.el.id + '-L' + Math.min(start, line) + (start !== line ? '-L' + Math.max(start, line) : '')
+            window.history.pushState(null, '', hash)
+            $posts.selectCodeLines($posts.codeLineTarget(hash))
+            $posts.copyText(window.location.href).catch(function () { /* noop */ })
+        })
+    },
+    CODE_COLLAPSE_LINES: 30,
+    CODE_COLLAPSE_KEY: 'claudia-code-collapse',
+    // Blocks expanded or collapsed by the reader on this page, as { 'code-3': true }
+    getCodeCollapseStates: function () {
+        try {
+            var states = JSON.parse(sessionStorage.getItem($posts.CODE_COLLAPSE_KEY)) || {}
+            return states[window.location.pathname] || {}
+        } catch (e) {
+            return {}
+        }
+    },
+    saveCodeCollapseState: function (id, collapsed) {
+        try {
+            var states = JSON.parse(sessionStorage.getItem($posts.CODE_COLLAPSE_KEY)) || {}
+            var pageStates = states[window.location.pathname] = states[window.location.pathname] || {}
+            pageStates[id] = collapsed
+            sessionStorage.setItem($posts.CODE_COLLAPSE_KEY, JSON.stringify(states))
+        } catch (e) { /* noop */ }
+    },
+    setCodeCollapsed: function (fig, collapsed) {
+        var toggle = fig.querySelector('.code-collapse-toggle')
+        fig.classList.toggle('is-collapsed', collapsed)
+        toggle.setAttribute('aria-expanded', String(!collapsed))
+        toggle.textContent = collapsed ? 'Show all ' + fig.dataset.lines + ' lines' : 'Show less'
+    },
+    /**
+     * Collapse figure.highlight blocks longer than CLAUDIA_CONFIG.codeCollapse.lines,
+     * behind a fade and a "Show all N lines" toggle. Only the view is clipped, the
+     * Copy button still copies every line.
+     */
+    collapseCodeBlocks: function () {
+        var config = (window.CLAUDIA_CONFIG || {}).codeCollapse || {}
+        if (config.enable === false) return
+
+        var threshold = Number(config.lines) || $posts.CODE_COLLAPSE_LINES
+        var states = $posts.getCodeCollapseStates()
+        var blocks = $posts.codeBlockList || []
+
+        blocks.forEach(function (block) {
+            var fig = block.el
+            if (!fig.matches('figure.highlight') || block.lines.length <= threshold) return
+
+            var toggle = document.createElement('button')
+            toggle.className = 'code-collapse-toggle'
+            toggle.type = 'button'
+            toggle.setAttribute('aria-controls', fig.id)
+            toggle.addEventListener('click', function () {
+                var collapsed = !fig.classList.contains('is-collapsed')
+                $posts.setCodeCollapsed(fig, collapsed)
+                $posts.saveCodeCollapseState(fig.id, collapsed)
+
+                // Keep the block in view when it shrinks from under the reader
+                var top = fig.getBoundingClientRect().top
+                if (collapsed && top < $posts.headerOffset()) {
+                    window.scrollTo(0, top + window.pageYOffset - $posts.headerOffset() - 20)
+                }
+            })
+
+            fig.dataset.lines = block.lines.length
+            fig.style.setProperty('--code-collapsed-lines', threshold)
+            fig.appendChild(toggle)
+            $posts.setCodeCollapsed(fig, states[fig.id] !== false)
+        })
+    },
+    /**
+     * Code languages by highlight.js name, with the display name of their badge, the
+     * aliases and file extensions they go by, and an optional iconfont class.
+     * Add more with $posts.registerLanguage() or CLAUDIA_CONFIG.codeLanguages.
+     */
+    languages: {
+        javascript: { name: 'JavaScript', aliases: ['js'], extensions: ['.js', '.mjs', '.cjs'] },
+        typescript: { name: 'TypeScript', aliases: ['ts'], extensions: ['.ts'] },
+        python: { name: 'Python', aliases: ['py'], extensions: ['.py'] },
+        c: { name: 'C', aliases: [], extensions: ['.c', '.h'] },
+        cpp: { name: 'C++', aliases: ['c++'], extensions: ['.cpp', '.cc', '.hpp'] },
+        csharp: { name: 'C#', aliases: ['cs'], extensions: ['.cs'] },
+        html: { name: 'HTML', aliases: [], extensions: ['.html'] },
+        xml: { name: 'XML', aliases: [], extensions: ['.xml'] },
+        json: { name: 'JSON', aliases: [], extensions: ['.json'] },
+        yaml: { name: 'YAML', aliases: ['yml'], extensions: ['.yml', '.yaml'] },
+        bash: { name: 'Bash', aliases: [], extensions: ['.sh', '.bash'] },
+        shell: { name: 'Shell', aliases: ['sh', 'console'], extensions: [] },
+        go: { name: 'Go', aliases: ['golang'], extensions: ['.go'] },
+        ruby: { name: 'Ruby', aliases: ['rb'], extensions: ['.rb'] },
+        rust: { name: 'Rust', aliases: ['rs'], extensions: ['.rs'] },
+        java: { name: 'Java', aliases: [], extensions: ['.java'] },
+        kotlin: { name: 'Kotlin', aliases: ['kt'], extensions: ['.kt'] },
+        php: { name: 'PHP', aliases: [], extensions: ['.php'] },
+        sql: { name: 'SQL', aliases: [], extensions: ['.sql'] },
+        markdown: { name: 'Markdown', aliases: ['md'], extensions: ['.md'] },
+        swift: { name: 'Swift', aliases: [], extensions: ['.swift'] },
+        scala: { name: 'Scala', aliases: [], extensions: ['.scala'] }
+    },
+    /**
+     * Add a language, or more aliases, extensions, a name or an icon to a known one:
+     * $posts.registerLanguage('julia', { name: 'Julia', aliases: ['jl'], extensions: ['.jl'] })
+     */
+    registerLanguage: function (id, options) {
+        id = String(id).toLowerCase()
+        options = options || {}
+
+        var language = $posts.languages[id] = $posts.languages[id] || { name: id, aliases: [], extensions: [] }
+        if (options.name) language.name = options.name
+        if (options.icon) language.icon = options.icon
+
+        var aliases = options.aliases || []
+        var extensions = options.extensions || []
+        aliases.forEach(function (alias) {
+            alias = String(alias).toLowerCase()
+            language.aliases.indexOf(alias) === -1 && language.aliases.push(alias)
+        })
+        extensions.forEach(function (extension) {
+            extension = '.' + String(extension).toLowerCase().replace(/^\./, '')
+            language.extensions.indexOf(extension) === -1 && language.extensions.push(extension)
+        })
+
+        // Badges rendered before the language was known pick it up
+        document.querySelectorAll('.post-content figure.highlight').forEach(function (fig) {
+            fig.querySelector('.code-lang') && $posts.renderLanguageBadge(fig)
+        })
+        return language
+    },
+    /**
+     * { id, name, icon } of a language id, alias or file name, null when unknown
+     */
+    findLanguage: function (key) {
+        key = String(key || '').toLowerCase()
+        if (!key) return null
+
+        var extension = (key.match(/\.[\w+-]+$/) || [''])[0]
+        var id = Object.keys($posts.languages).find(function (name) {
+            var language = $posts.languages[name]
+            return name === key || language.aliases.indexOf(key) > -1 || (extension && language.extensions.indexOf(extension) > -1)
+        })
+        if (!id) return null
+
+        var language = $posts.languages[id]
+        return { id: id, name: language.name, icon: language.icon }
+    },
+    // Classes Hexo gives blocks without a language
+    UNLABELED_LANGUAGES: ['', 'plain', 'plaintext'],
+    DETECT_MIN_RELEVANCE: 7,
+    /**
+     * Language of a figure.highlight block: its class, the extension of a file name in
+     * its caption, or failing both a highlight.js guess relevant enough to trust
+     */
+    codeLanguage: function (fig) {
+        if (fig.dataset.lang !== undefined) return fig.dataset.lang
+
+        // Language label from class like: figure.highlight.python
+        var classes = (fig.getAttribute('class') || '').split(/\s+/)
+        var lang = classes.find(function (c) {
+            return c !== 'highlight' && c !== 'figure' && c.indexOf('highlight') !== 0 && c.indexOf('is-') !== 0
+        }) || ''
+
+        if ($posts.UNLABELED_LANGUAGES.indexOf(lang) > -1) {
+            var caption = fig.querySelector('figcaption')
+            var fromCaption = caption && $posts.findLanguage(caption.textContent.trim().split(/\s+/)[0])
+            var guess = fromCaption ? fromCaption.id : $posts.detectLanguage($posts.codeText(fig))
+            if (guess) {
+                fig.dataset.langGuessed = 'true'
+                lang = guess
+            }
+        }
+
+        fig.dataset.lang = lang
+        return lang
+    },
+    detectLanguage: function (text) {
+        if (!window.hljs || !hljs.highlightAuto || !text.trim()) return ''
+
+        try {
+            var result = hljs.highlightAuto(text)
+            return result.language && result.relevance >= $posts.DETECT_MIN_RELEVANCE ? result.language : ''
+        } catch (e) {
+            return ''
+        }
+    },
+    renderLanguageBadge: function (fig) {
+        var lang = $posts.codeLanguage(fig)
+        var badge = fig.querySelector('.code-lang')
+        if (!lang) return
+
+        if (!badge) {
+            badge = document.createElement('span')
+            badge.className = 'code-lang'
+            fig.appendChild(badge)
+        }
+
+        var language = $posts.findLanguage(lang)
+        var isGuessed = fig.dataset.langGuessed === 'true'
+        badge.textContent = language ? language.name : lang
+        badge.classList.toggle('is-guessed', isGuessed)
+        isGuessed ? badge.title = 'Detected language' : badge.removeAttribute('title')
+
+        if (language && language.icon) {
+            var icon = document.createElement('i')
+            icon.className = language.icon
+            icon.setAttribute('aria-hidden', 'true')
+            badge.insertBefore(icon, badge.firstChild)
+        }
+    },
+    // Full text of a code block, including lines a collapsed block hides
+    codeText: function (fig) {
+        var lines = fig.querySelectorAll('td.code .line')
+        if (lines.length) {
+            return Array.prototype.map.call(lines, function (line) { return line.textContent }).join('\n')
+        }
+
+        var codeEl = fig.querySelector('pre code') || fig.querySelector('pre') || fig
+        return codeEl.textContent.replace(/\n$/, '')
+    },
+    shellLanguages: ['bash', 'sh', 'shell', 'zsh', 'console', 'shellsession'],
+    // "$ " or "user@host:~$ " at the start of a command line
+    shellPrompt: /^\s*(?:[\w.-]+@[\w.-]+(?::\S*)?\s*)?[$%]\s/,
+    // A line that starts like a command: VAR=value assignments, then a lowercase name or path
+    shellCommand: /^\s*(?:[A-Za-z_]\w*=\S*\s+)*[a-z_.~\/][\w.+\/-]*(?:\s|$)/,
+    /**
+     * Commands of a shell block, ready to paste into a terminal, with their "\" continuations.
+     * In blocks with prompts these are the prompted lines without the prompts. Blocks
+     * without keep the lines that start like a command, dropping comments, blank lines and
+     * output such as "remote: Total 13" or "Working copy (@) now at: ...".
+     */
+    commandsOnly: function (text) {
+        var lines = text.split('\n')
+        var prompt = $posts.shellPrompt
+        var hasPrompts = lines.some(function (line) { return prompt.test(line) })
+        var commands = []
+        var isContinued = false
+
+        lines.forEach(function (line) {
+            if (isContinued) commands.push(line)
+            else if (hasPrompts && prompt.test(line)) commands.push(line.replace(prompt, ''))
+            else if (!hasPrompts && $posts.shellCommand.test(line)) commands.push(line)
+            else return
+
+            isContinued = /\\\s*$/.test(line)
+        })
+        return commands.join('\n')
+    },
+    // Code as a fenced Markdown block, with a fence longer than any backtick run inside
+    markdownFence: function (text, lang) {
+        var runs = text.match(/`{3,}/g) || []
+        var longest = runs.reduce(function (max, run) { return Math.max(max, run.length) }, 2)
+        var fence = new Array(longest + 2).join('`')
+        return fence + (lang || '') + '\n' + text + '\n' + fence + '\n'
+    },
+    /**
+     * Copy button of a figure.highlight block with a menu to copy it as plain text,
+     * as a Markdown fence, or, for shell blocks with more than commands, as the commands alone
+     */
+    codeCopyMenu: function (fig, lang) {
+        var choices = [
+            { name: 'plain', label: 'Copy' },
+            { name: 'markdown', label: 'Copy as Markdown fence' }
+        ]
+        var isShell = $posts.shellLanguages.indexOf(String(lang).toLowerCase()) > -1
+        var text = isShell && $posts.codeText(fig)
+        var commands = text && $posts.commandsOnly(text)
+        if (commands && commands !== text) {
+            choices.splice(1, 0, { name: 'commands', label: 'Copy commands only' })
+        }
+
+        var container = document.createElement('div')
+        container.className = 'code-copy'
+        container.innerHTML =
+            '<button type="button" class="code-copy-btn">Copy</button>' +
+            '<button type="button" class="code-copy-more" aria-label="More copy options" aria-haspopup="menu" aria-expanded="false"></button>' +
+            '<div class="code-copy-menu" role="menu">' +
+                choices.map(function (choice) {
+                    return '<button type="button" role="menuitem" data-copy="' + choice.name + '">' + choice.label + '</button>'
+                }).join('') +
+            '</div>'
+
+        var copyBtn = container.querySelector('.code-copy-btn')
+        var moreBtn = container.querySelector('.code-copy-more')
+        var menu = container.querySelector('.code-copy-menu')
+        var items = menu.querySelectorAll('[role=menuitem]')
+        var feedbackTimer = null
+
+        function copy(name) {
+            var text = $posts.codeText(fig)
+            if (name === 'commands') text = $posts.commandsOnly(text)
+            if (name === 'markdown') text = $posts.markdownFence(text, lang)
+
+            $posts.copyText(text).then(function () {
+                clearTimeout(feedbackTimer)
+                copyBtn.textContent = 'Copied'
+                feedbackTimer = setTimeout(function () { copyBtn.textContent = 'Copy' }, 1200)
+            }).catch(function () { /* noop */ })
+        }
+        function toggleMenu(open) {
+            // Fixed to the viewport, so a short block's overflow does not clip it
+            var rect = moreBtn.getBoundingClientRect()
+            menu.style.top = rect.bottom + 4 + 'px'
+            menu.style.right = document.documentElement.clientWidth - rect.right + 'px'
+
+            container.classList.toggle('is-active', open)
+            moreBtn.setAttribute('aria-expanded', String(open))
+            open && items[0].focus({ preventScroll: true })
+        }
+
+        copyBtn.addEventListener('click', function () { copy('plain') })
+        moreBtn.addEventListener('click', function () {
+            toggleMenu(!container.classList.contains('is-active'))
+        })
+        menu.addEventListener('click', function (evt) {
+            var item = evt.target.closest('[data-copy]')
+            if (!item) return
+
+            copy(item.dataset.copy)
+            toggleMenu(false)
+            copyBtn.focus()
+        })
+        menu.addEventListener('keydown', function (evt) {
+            var idx = Array.prototype.indexOf.call(items, document.activeElement)
+            if (evt.key === 'ArrowDown' || evt.key === 'ArrowUp') {
+                evt.preventDefault()
+                items[(idx + (evt.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length].focus()
+            }
+            else if (evt.key === 'Escape' || evt.key === 'Esc') {
+                // Close the menu only, not whatever else listens for Esc
+                evt.stopPropagation()
+                toggleMenu(false)
+                moreBtn.focus()
+            }
+        })
+        document.addEventListener('click', function (evt) {
+            if (container.classList.contains('is-active') && !container.contains(evt.target)) toggleMenu(false)
+        })
+        window.addEventListener('scroll', function () {
+            container.classList.contains('is-active') && toggleMenu(false)
+        }, { passive: true })
+
+        return container
+    },
+    CODE_TAB_KEY: 'claudia-code-tab',
+    codeGroupList: [],
+    /**
+     * Runs of adjacent figure.highlight blocks meant as alternatives: the ones between
+     * <!-- code-group --> and <!-- /code-group --> comments, or inside a div.code-group.
+     * A marker left open, or wrapping anything but code blocks, groups nothing.
+     */
+    findCodeGroups: function () {
+        var groups = []
+        var article = document.querySelector('.post-content')
+        if (!article) return groups
+
+        article.querySelectorAll('div.code-group').forEach(function (container) {
+            var figures = Array.prototype.filter.call(container.children, function (child) {
+                return child.matches('figure.highlight')
+            })
+            groups.push({ container: container, figures: figures })
+        })
+
+        var walker = document.createTreeWalker(article, NodeFilter.SHOW_COMMENT)
+        while (walker.nextNode()) {
+            var marker = walker.currentNode
+            if (marker.nodeValue.trim() !== 'code-group') continue
+
+            var figures = []
+            var next = marker.nextSibling
+            while (next && !(next.nodeType === Node.COMMENT_NODE && next.nodeValue.trim() === '/code-group')) {
+                if (next.nodeType === Node.ELEMENT_NODE && !next.matches('figure.highlight')) break
+                next.nodeType === Node.ELEMENT_NODE && figures.push(next)
+                next = next.nextSibling
+            }
+            // Only blocks the author closed the group on
+            next && next.nodeType === Node.COMMENT_NODE && groups.push({ container: null, figures: figures })
+        }
+
+        return groups.filter(function (group) { return group.figures.length > 1 })
+    },
+    /**
+     * Tab label of a block in a group: its caption, such as "pip" or "conda", else its
+     * language badge. The lowercased label is the key synced across groups and posts.
+     */
+    codeTabLabel: function (fig, idx) {
+        var caption = fig.querySelector('figcaption')
+        var badge = fig.querySelector('.code-lang')
+        return (caption && caption.textContent.trim()) || (badge && badge.textContent.trim()) || 'Code ' + (idx + 1)
+    },
+    selectCodeTab: function (group, idx) {
+        group.tabs.forEach(function (tab, tabIdx) {
+            var isActive = tabIdx === idx
+            tab.setAttribute('aria-selected', String(isActive))
+            tab.tabIndex = isActive ? 0 : -1
+            group.figures[tabIdx].hidden = !isActive
+        })
+    },
+    // Switch every group offering the tab key, keeping the group the reader is at in place
+    selectCodeTabKey: function (key, anchorEl) {
+        var anchorTop = anchorEl && anchorEl.getBoundingClientRect().top
+
+        $posts.codeGroupList.forEach(function (group) {
+            var idx = group.keys.indexOf(key)
+            idx > -1 && $posts.selectCodeTab(group, idx)
+        })
+
+        if (anchorEl) window.scrollTo(0, window.pageYOffset + anchorEl.getBoundingClientRect().top - anchorTop)
+    },
+    showCodeTab: function (fig) {
+        var group = $posts.codeGroupList.find(function (item) { return item.figures.indexOf(fig) > -1 })
+        group && $posts.selectCodeTab(group, group.figures.indexOf(fig))
+    },
+    /**
+     * Tab strips for code groups. Choosing a tab switches every group of the page that
+     * has it, and is remembered for the next posts.
+     */
+    codeGroups: function () {
+        var preferred = ''
+        try {
+            preferred = localStorage.getItem($posts.CODE_TAB_KEY) || ''
+        } catch (e) { /* noop */ }
+
+        $posts.codeGroupList = $posts.findCodeGroups().map(function (group) {
+            var container = group.container
+            if (!container) {
+                container = document.createElement('div')
+                container.className = 'code-group'
+                group.figures[0].parentNode.insertBefore(container, group.figures[0])
+                group.figures.forEach(function (fig) { container.appendChild(fig) })
+            }
+
+            var tablist = document.createElement('div')
+            tablist.className = 'code-tabs'
+            tablist.setAttribute('role', 'tablist')
+
+            group.keys = []
+            group.tabs = group.figures.map(function (fig, idx) {
+                var label = $posts.codeTabLabel(fig, idx)
+                var tab = document.createElement('button')
+                tab.className = 'code-tab'
+                tab.type = 'button'
+                tab.id = fig.id + '-tab'
+                tab.textContent = label
+                tab.setAttribute('role', 'tab')
+                tab.setAttribute('aria-controls', fig.id)
+
+                fig.setAttribute('role', 'tabpanel')
+                fig.setAttribute('aria-labelledby', tab.id)
+                group.keys.push(label.toLowerCase())
+                tablist.appendChild(tab)
+                return tab
+            })
+
+            tablist.addEventListener('click', function (evt) {
+                var tab = evt.target.closest('.code-tab')
+                if (!tab) return
+
+                var key = group.keys[group.tabs.indexOf(tab)]
+                $posts.selectCodeTabKey(key, tablist)
+                try {
+                    localStorage.setItem($posts.CODE_TAB_KEY, key)
+                } catch (e) { /* noop */ }
+            })
+            tablist.addEventListener('keydown', function (evt) {
+                if (evt.key !== 'ArrowRight' && evt.key !== 'ArrowLeft') return
+
+                var count = group.tabs.length
+                var idx = (group.tabs.indexOf(evt.target) + (evt.key === 'ArrowRight' ? 1 : -1) + count) % count
+                evt.preventDefault()
+                group.tabs[idx].focus()
+                group.tabs[idx].click()
+            })
+
+            container.insertBefore(tablist, container.firstChild)
+            $posts.selectCodeTab(group, Math.max(0, group.keys.indexOf(preferred)))
+            return group
+        })
+    },
     addValineComment() {
         var el = document.getElementById('vcomments')
         new Valine({
@@ -179,80 +1717,86 @@ var $posts = {
             }
         } catch (e) { /* noop */ }
 
+        // Languages added by the theme config
+        var codeLanguages = (window.CLAUDIA_CONFIG || {}).codeLanguages || {}
+        Object.keys(codeLanguages).forEach(function (id) {
+            $posts.registerLanguage(id, codeLanguages[id])
+        })
+
         // Enhance SSR code blocks (Hexo -> figure.highlight)
         try {
             var codeFigures = document.querySelectorAll('figure.highlight')
             codeFigures.forEach(function(fig){
-                // Language label from class like: figure.highlight.python
-                var classes = (fig.getAttribute('class') || '').split(/\s+/)
-                var lang = classes.find(function(c){ return c !== 'highlight' && c !== 'figure' && c.indexOf('highlight') !== 0 }) || ''
-                if (lang) {
-                    var langBadge = document.createElement('span')
-                    langBadge.className = 'code-lang'
-                    // Pretty language name mapping
-                    var map = {
-                        'js': 'JavaScript', 'javascript': 'JavaScript',
-                        'ts': 'TypeScript', 'typescript': 'TypeScript',
-                        'py': 'Python', 'python': 'Python',
-                        'c': 'C', 'cpp': 'C++', 'c++': 'C++',
-                        'cs': 'C#', 'csharp': 'C#',
-                        'html': 'HTML', 'xml': 'XML', 'json': 'JSON',
-                        'yml': 'YAML', 'yaml': 'YAML',
-                        'sh': 'Shell', 'bash': 'Bash', 'shell': 'Shell',
-                        'go': 'Go', 'golang': 'Go', 'rb': 'Ruby', 'ruby': 'Ruby',
-                        'rs': 'Rust', 'rust': 'Rust',
-                        'java': 'Java', 'kt': 'Kotlin', 'kotlin': 'Kotlin',
-                        'php': 'PHP', 'sql': 'SQL', 'md': 'Markdown', 'markdown': 'Markdown',
-                        'swift': 'Swift', 'scala': 'Scala'
-                    }
-                    var pretty = map[String(lang).toLowerCase()] || lang
-                    langBadge.textContent = pretty
-                    fig.appendChild(langBadge)
-                }
+                // Language badge, from class like: figure.highlight.python, or guessed
+                var lang = $posts.codeLanguage(fig)
+                $posts.renderLanguageBadge(fig)
 
-                // Copy button
-                var copyBtn = document.createElement('button')
-                copyBtn.className = 'code-copy-btn'
-                copyBtn.type = 'button'
-                copyBtn.textContent = 'Copy'
-                copyBtn.addEventListener('click', function(){
-                    var codeEl = fig.querySelector('td.code pre') || fig.querySelector('pre code') || fig
-                    var text = codeEl.innerText || codeEl.textContent || ''
-                    navigator.clipboard && navigator.clipboard.writeText(text).then(function(){
-                        copyBtn.textContent = 'Copied'
-                        setTimeout(function(){ copyBtn.textContent = 'Copy' }, 1200)
-                    }).catch(function(){
-                        try {
-                            var area = document.createElement('textarea')
-                            area.value = text
-                            document.body.appendChild(area)
-                            area.select()
-                            document.execCommand('copy')
-                            document.body.removeChild(area)
-                            copyBtn.textContent = 'Copied'
-                            setTimeout(function(){ copyBtn.textContent = 'Copy' }, 1200)
-                        } catch (e) { /* noop */ }
-                    })
-                })
-                fig.appendChild(copyBtn)
+                // Copy button and menu
+                fig.appendChild($posts.codeCopyMenu(fig, lang))
             })
         } catch (e) { /* noop */ }
 
+        this.codeLineNumbers()
+
+        this.collapseCodeBlocks()
+
+        this.codeGroups()
+
         var Scroller = this.scroller()
         var scrollerInstance = new Scroller()
 
-        var catalogueHighlight = this.catalogueHighlight()
-        catalogueHighlight && scrollerInstance.callbacks.push(catalogueHighlight)
+        var tocContainer = document.querySelector('.toc')
+        if (tocContainer && tocContainer.querySelector('a[href]')) {
+            var expandTocAround = this.tocTree(tocContainer)
+            this.tocScrollSpy(function (activeLink) {
+                expandTocAround(activeLink)
+                $posts.topicBreadcrumb(activeLink)
+            }, scrollerInstance)
+            this.tocDrawer(tocContainer)
+        }
 
         scrollerInstance.callbacks.push(this.showTopic)
 
+        var readingProgress = this.readingProgress()
+        if (readingProgress) {
+            scrollerInstance.callbacks.push(readingProgress)
+            window.addEventListener('resize', $claudia.throttle(readingProgress, 150))
+            readingProgress()
+        }
+
+        var resumeReading = this.resumeReading()
+        resumeReading && scrollerInstance.callbacks.push(resumeReading)
+
         scrollerInstance.bindScrollEvent()
 
         $claudia.fadeInImage(document.querySelectorAll('.post-content img'))
 
-        document.getElementById('postTopic').addEventListener('click', this.smoothScrollToTop)
+        document.getElementById('postTopic').addEventListener('click', function (evt) {
+            var segment = evt.target.closest('a.topic-segment')
+            if (!segment) {
+                $posts.smoothScrollToTop()
+                return
+            }
+
+            evt.preventDefault()
+            window.history.pushState(null, '', segment.getAttribute('href'))
+            $posts.revealHashTarget()
+        })
 
         window.Valine && this.addValineComment()
+
+        this.headingAnchors()
+
+        this.readerMode()
+
+        this.footnotes()
+
+        this.selectionToolbar()
+
+        this.keyboardShortcuts()
+
+        window.addEventListener('hashchange', this.revealHashTarget)
+        window.requestAnimationFrame(this.revealHashTarget)
     }
 }
 
@@ -0,0 +1,163 @@
+/**
+ * Standalone search results page for Claudia theme
+ * Renders the ?q= results of the shared $search index page by page, back/forward included
+ */
+var $searchPage = {
+    PAGE_SIZE: 10,
+
+    baseTitle: document.title,
+    inputEl: null,
+    captionEl: null,
+    resultsEl: null,
+    paginationEl: null,
+
+    /**
+     * Page numbers to offer around the current one, null standing for an ellipsis:
+     * 1 … 4 5 6 … 12
+     */
+    pageNumbers: function (page, pageCount) {
+        var numbers = []
+        for (var number = 1; number <= pageCount; number++) {
+            if (number === 1 || number === pageCount || Math.abs(number - page) <= 1) numbers.push(number)
+            else if (numbers[numbers.length - 1] !== null) numbers.push(null)
+        }
+        return numbers
+    },
+    renderResults: function (results) {
+        var fragment = document.createDocumentFragment()
+
+        results.forEach(function (item) {
+            var result = document.createElement('article')
+            result.className = 'search-page-result'
+
+            var title = document.createElement('h2')
+            title.className = 'mt-0 mb-1 is-family-serif'
+            title.innerHTML = '<a href="' + $search.escapeHTML(item.link) + '">' + $search.titleHTML(item) + '</a>'
+            result.appendChild(title)
+
+            var meta = document.createElement('p')
+            meta.className = 'search-page-meta has-text-grey'
+            if (item.date) {
+                meta.innerHTML = '<time datetime="' + $search.escapeHTML(item.date) + '">' + $search.escapeHTML(item.date.slice(0, 10)) + '</time>'
+            }
+            item.tags.forEach(function (tag) {
+                meta.innerHTML += '<a href="/tags/' + encodeURIComponent(tag) + '"><i class="tag post-item-tag">' + $search.escapeHTML(tag) + '</i></a>'
+            })
+            result.appendChild(meta)
+
+            item.snippets.forEach(function (snippet) {
+                var content = document.createElement('p')
+                content.className = 'search-snippet'
+                content.innerHTML = $search.highlight(snippet.text, snippet.ranges)
+                result.appendChild(content)
+            })
+
+            fragment.appendChild(result)
+        })
+
+        $searchPage.resultsEl.innerHTML = ''
+        $searchPage.resultsEl.appendChild(fragment)
+    },
+    renderPagination: function (query, page, pageCount) {
+        var paginationEl = $searchPage.paginationEl
+        paginationEl.innerHTML = ''
+        if (pageCount < 2) return
+
+        function pageLink(className, number, text) {
+            var link = document.createElement('a')
+            link.className = className
+            link.textContent = text
+            if (number < 1 || number > pageCount) link.setAttribute('disabled', '')
+            else link.href = $search.searchURL(query, number)
+            return link
+        }
+
+        paginationEl.appendChild(pageLink('pagination-previous', page - 1, 'Previous'))
+        paginationEl.appendChild(pageLink('pagination-next', page + 1, 'Next'))
+
+        var list = document.createElement('ul')
+        list.className = 'pagination-list'
+        $searchPage.pageNumbers(page, pageCount).forEach(function (number) {
+            var item = document.createElement('li')
+            if (number === null) {
+                item.innerHTML = '<span class="pagination-ellipsis">&hellip;</span>'
+            }
+            else {
+                var link = pageLink('pagination-link', number, String(number))
+                if (number === page) {
+                    link.classList.add('is-current')
+                    link.setAttribute('aria-current', 'page')
+                }
+                item.appendChild(link)
+            }
+            list.appendChild(item)
+        })
+        paginationEl.appendChild(list)
+    },
+    /**
+     * Render whatever search the current url describes
+     */
+    render: function () {
+        var state = $search.parseURL(window.location.search)
+        var query = state.query
+
+        $searchPage.inputEl.value = query
+        document.title = query ? query + ' · ' + $searchPage.baseTitle : $searchPage.baseTitle
+
+        if (!query.trim()) {
+            $searchPage.captionEl.textContent = 'Type to search posts, or narrow with tag:, category:, after:, before:, "phrases" and -exclude'
+            $searchPage.renderResults([])
+            $searchPage.renderPagination(query, 1, 0)
+            return
+        }
+
+        $searchPage.captionEl.textContent = 'Searching..'
+        $search.search(query).then(function (results) {
+            // Skip results of a search the reader already navigated away from
+            if ($search.parseURL(window.location.search).query !== query) return
+
+            var pageCount = Math.ceil(results.length / $searchPage.PAGE_SIZE)
+            var page = Math.min(state.page, pageCount || 1)
+            var start = (page - 1) * $searchPage.PAGE_SIZE
+
+            $searchPage.captionEl.textContent = results.length
+                ? results.length + ' results for "' + query.trim() + '"' + (pageCount > 1 ? ', page ' + page + ' of ' + pageCount : '')
+                : 'No results for "' + query.trim() + '"'
+            $searchPage.renderResults(results.slice(start, start + $searchPage.PAGE_SIZE))
+            $searchPage.renderPagination(query, page, pageCount)
+        }, function () {
+            $searchPage.captionEl.textContent = 'Search is unavailable right now'
+        })
+    },
+    navigate: function (url) {
+        window.history.pushState(null, '', url)
+        $searchPage.render()
+        window.scrollTo(0, 0)
+    },
+    mounted: function () {
+        $searchPage.inputEl = document.getElementById('searchPageInput')
+        $searchPage.captionEl = document.getElementById('searchPageCaption')
+        $searchPage.resultsEl = document.getElementById('searchPageResults')
+        $searchPage.paginationEl = document.getElementById('searchPagePagination')
+
+        document.getElementById('searchPageForm').addEventListener('submit', function (evt) {
+            evt.preventDefault()
+            $searchPage.navigate($search.searchURL($searchPage.inputEl.value.trim()))
+        })
+
+        // Page links stay real links, but switch pages without a reload
+        $searchPage.paginationEl.addEventListener('click', function (evt) {
+            var link = evt.target.closest('a[href]')
+            if (!link || evt.ctrlKey || evt.metaKey || evt.shiftKey || evt.button) return
+
+            evt.preventDefault()
+            $searchPage.navigate(link.getAttribute('href'))
+        })
+
+        window.addEventListener('popstate', $searchPage.render)
+
+        $searchPage.render()
+    }
+}
+
+$searchPage.mounted()
@@ -0,0 +1,251 @@
+/**
+ * Keyboard driven search palette for Claudia theme
+ * Opens with Ctrl/Cmd+K or "/" on every page and queries the shared $search index
+ */
+var $searchPalette = {
+    RECENT_KEY: 'claudia-search-recent',
+    RECENT_LIMIT: 6,
+
+    el: null,
+    inputEl: null,
+    listEl: null,
+    items: [],
+    activeIdx: -1,
+    lastFocused: null,
+
+    getRecent: function () {
+        try {
+            return JSON.parse(localStorage.getItem($searchPalette.RECENT_KEY)) || []
+        } catch (e) {
+            return []
+        }
+    },
+    saveRecent: function (query) {
+        query = query.trim()
+        if (!query) return
+
+        var recent = $searchPalette.getRecent().filter(function (item) { return item !== query })
+        recent.unshift(query)
+        try {
+            localStorage.setItem($searchPalette.RECENT_KEY, JSON.stringify(recent.slice(0, $searchPalette.RECENT_LIMIT)))
+        } catch (e) { /* noop */ }
+    },
+    create: function () {
+        var overlay = document.createElement('div')
+        overlay.className = 'search-palette-overlay'
+        overlay.innerHTML =
+            '<div class="search-palette" role="dialog" aria-modal="true" aria-label="Search posts">' +
+                '<div class="search-palette-header">' +
+                    '<i class="iconfont icon--search1"></i>' +
+                    '<input class="search-palette-input" id="searchPaletteInput" type="text" autocomplete="off" spellcheck="false"' +
+                        ' placeholder="Search everything.." role="combobox" aria-autocomplete="list"' +
+                        ' aria-expanded="false" aria-controls="searchPaletteList">' +
+                    '<kbd>Esc</kbd>' +
+                '</div>' +
+                '<p class="search-palette-caption is-flex is-justify-content-space-between">' +
+                    '<span id="searchPaletteCaption"></span>' +
+                    '<a class="search-palette-all is-hidden" id="searchPaletteAll">All results</a>' +
+                '</p>' +
+                '<ul class="search-palette-list" id="searchPaletteList" role="listbox" aria-labelledby="searchPaletteCaption"></ul>' +
+                '<footer class="search-palette-footer"><span><kbd>↑</kbd><kbd>↓</kbd> to navigate</span><span><kbd>Enter</kbd> to open</span><span><kbd>Esc</kbd> to close</span></footer>' +
+            '</div>'
+        document.body.appendChild(overlay)
+
+        $searchPalette.el = overlay
+        $searchPalette.inputEl = overlay.querySelector('.search-palette-input')
+        $searchPalette.listEl = overlay.querySelector('.search-palette-list')
+
+        overlay.addEventListener('mousedown', function (evt) {
+            if (evt.target === overlay) $searchPalette.close()
+        })
+        $searchPalette.inputEl.addEventListener('input', $searchPalette.update)
+        $searchPalette.inputEl.addEventListener('keydown', $searchPalette.onInputKeydown)
+        overlay.addEventListener('keydown', $searchPalette.onDialogKeydown)
+
+        return overlay
+    },
+    open: function () {
+        var overlay = $searchPalette.el || $searchPalette.create()
+        if (overlay.classList.contains('is-active')) return
+
+        $searchPalette.lastFocused = document.activeElement
+        overlay.classList.add('is-active')
+        document.documentElement.classList.add('search-palette-open')
+
+        $searchPalette.inputEl.value = ''
+        $searchPalette.inputEl.focus()
+        $searchPalette.update()
+
+        $search.load().then(function () {
+            overlay.classList.contains('is-active') && $searchPalette.update()
+        }, function () {
+            if (!overlay.classList.contains('is-active')) return
+            document.getElementById('searchPaletteCaption').textContent = 'Search is unavailable right now'
+        })
+    },
+    close: function () {
+        var overlay = $searchPalette.el
+        if (!overlay || !overlay.classList.contains('is-active')) return
+
+        overlay.classList.remove('is-active')
+        document.documentElement.classList.remove('search-palette-open')
+        $searchPalette.inputEl.setAttribute('aria-expanded', 'false')
+
+        var lastFocused = $searchPalette.lastFocused
+        lastFocused && typeof lastFocused.focus === 'function' && lastFocused.focus()
+    },
+    /**
+     * Recent queries while the input is empty, search results otherwise
+     */
+    update: function () {
+        var query = $searchPalette.inputEl.value
+        var captionEl = document.getElementById('searchPaletteCaption')
+        var allEl = document.getElementById('searchPaletteAll')
+
+        allEl.href = $search.searchURL(query.trim())
+        allEl.classList.add('is-hidden')
+
+        if (!query.trim()) {
+            var recent = $searchPalette.getRecent()
+            captionEl.textContent = recent.length ? 'Recent searches' : 'Type to search posts, or narrow with tag:, category:, after:, before:, "phrases" and -exclude'
+            $searchPalette.render(recent.map(function (item) {
+                return { query: item, title: item }
+            }))
+            return
+        }
+
+        $search.search(query).then(function (results) {
+            if ($searchPalette.inputEl.value !== query) return
+
+            captionEl.textContent = results.length ? results.length + ' results' : 'No results for "' + query.trim() + '"'
+            allEl.classList.toggle('is-hidden', !results.length)
+            $searchPalette.render(results)
+        }, function () {
+            captionEl.textContent = 'Search is unavailable right now'
+            $searchPalette.render([])
+        })
+    },
+    render: function (items) {
+        var listEl = $searchPalette.listEl
+        var fragment = document.createDocumentFragment()
+
+        $searchPalette.items = items
+        listEl.innerHTML = ''
+
+        items.forEach(function (item, idx) {
+            var option = document.createElement('li')
+            option.id = 'searchPaletteOption-' + idx
+            option.className = 'search-palette-option'
+            option.setAttribute('role', 'option')
+            option.setAttribute('aria-selected', 'false')
+
+            var title = document.createElement('h5')
+            title.className = 'mb-1'
+            title.innerHTML = $search.titleHTML(item)
+            option.appendChild(title)
+
+            var snippets = item.snippets || []
+            snippets.forEach(function (snippet) {
+                var content = document.createElement('p')
+                content.className = 'search-snippet'
+                content.innerHTML = $search.highlight(snippet.text, snippet.ranges)
+                option.appendChild(content)
+            })
+
+            option.addEventListener('mousemove', function () {
+                $searchPalette.activeIdx !== idx && $searchPalette.setActive(idx)
+            })
+            option.addEventListener('click', function () {
+                $searchPalette.choose(idx)
+            })
+
+            fragment.appendChild(option)
+        })
+
+        listEl.appendChild(fragment)
+        $searchPalette.inputEl.setAttribute('aria-expanded', String(items.length > 0))
+        $searchPalette.setActive(items.length ? 0 : -1)
+    },
+    setActive: function (idx) {
+        var options = $searchPalette.listEl.children
+        var before = options[$searchPalette.activeIdx]
+        before && before.setAttribute('aria-selected', 'false')
+
+        $searchPalette.activeIdx = idx
+        var current = options[idx]
+        if (!current) {
+            $searchPalette.inputEl.removeAttribute('aria-activedescendant')
+            return
+        }
+
+        current.setAttribute('aria-selected', 'true')
+        $searchPalette.inputEl.setAttribute('aria-activedescendant', current.id)
+        current.scrollIntoView({ block: 'nearest' })
+    },
+    choose: function (idx) {
+        var item = $searchPalette.items[idx]
+        if (!item) return
+
+        // A recent query refills the input instead of navigating
+        if (item.query) {
+            $searchPalette.inputEl.value = item.query
+            $searchPalette.update()
+            return
+        }
+
+        $searchPalette.saveRecent($searchPalette.inputEl.value)
+        window.location.href = item.link
+    },
+    onInputKeydown: function (evt) {
+        var count = $searchPalette.items.length
+
+        if (evt.key === 'ArrowDown' || evt.key === 'ArrowUp') {
+            evt.preventDefault()
+            if (!count) return
+            var step = evt.key === 'ArrowDown' ? 1 : -1
+            $searchPalette.setActive(($searchPalette.activeIdx + step + count) % count)
+        }
+        else if (evt.key === 'Enter') {
+            evt.preventDefault()
+            $searchPalette.choose($searchPalette.activeIdx)
+        }
+    },
+    onDialogKeydown: function (evt) {
+        if (evt.key === 'Escape' || evt.key === 'Esc') {
+            evt.preventDefault()
+            $searchPalette.close()
+        }
+        else if (evt.key === 'Tab') {
+            // Focus stays on the input while arrows move through the options, so Tab only
+            // cycles between it and "All results"
+            var focusable = Array.prototype.filter.call($searchPalette.el.querySelectorAll('input, a[href], button'), function (el) {
+                return !el.disabled && !el.closest('.is-hidden')
+            })
+            var first = focusable[0]
+            var last = focusable[focusable.length - 1]
+
+            if (evt.shiftKey && document.activeElement === first) {
+                evt.preventDefault()
+                last.focus()
+            }
+            else if (!evt.shiftKey && document.activeElement === last) {
+                evt.preventDefault()
+                first.focus()
+            }
+        }
+    },
+    mounted: function () {
+        document.addEventListener('keydown', function (evt) {
+            var isShortcut = (evt.ctrlKey || evt.metaKey) && !evt.altKey && (evt.key === 'k' || evt.key === 'K')
+            var isSlash = evt.key === '/' && !evt.ctrlKey && !evt.metaKey && !evt.altKey && !$claudia.isTyping(evt.target)
+
+            if (!isShortcut && !isSlash) return
+            if (document.documentElement.classList.contains('mermaid-modal-open')) return
+
+            evt.preventDefault()
+            $searchPalette.el && $searchPalette.el.classList.contains('is-active') ? $searchPalette.close() : $searchPalette.open()
+        })
+    }
+}
+
+$searchPalette.mounted()
@@ -0,0 +1,38 @@
+/**
+ * Search worker for Claudia theme
+ * Loads the (cached) index and answers queries off the main thread for $search.load()/$search.search()
+ */
+importScripts('/js/search.js')
+
+var indexReady = null
+
+// What the main thread can ask for once the index is ready
+var methods = {
+    load: function () {
+        return null
+    },
+    query: function (index, text) {
+        return $search.query(index, text)
+    },
+    preview: function (index, arg) {
+        return $search.preview(index, arg.path, arg.id)
+    }
+}
+
+self.onmessage = function (evt) {
+    var data = evt.data
+
+    indexReady = indexReady || $search.loadIndex()
+    indexReady.then(function (index) {
+        var method = methods.hasOwnProperty(data.method) ? methods[data.method] : methods.load
+        try {
+            self.postMessage({ id: data.id, result: method(index, data.arg) })
+        } catch (error) {
+            self.postMessage({ id: data.id, error: String(error && error.message || error) })
+        }
+    }, function (error) {
+        // Let the next message try to load again
+        indexReady = null
+        self.postMessage({ id: data.id, error: String(error && error.message || error) })
+    })
+}
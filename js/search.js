@@ -0,0 +1,1122 @@
+/**
+ * Full-text search for Claudia theme
+ * Builds a ranked, CJK-aware inverted index from the search.xml entries
+ */
+var $search = {
+    // Relevance weight of a term hit in each field of a post
+    fieldWeights: { title: 10, heading: 4, body: 1 },
+
+    // CJK ideographs, kana and hangul are indexed per character instead of per word
+    cjkPattern: /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/,
+    tokenPattern: /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]+|[a-z0-9\u00c0-\u024f]+/g,
+
+    isCJK: function (text) {
+        return $search.cjkPattern.test(text)
+    },
+    // Porter stemmer, so "learning", "learned" and "learns" share one term
+    stem: (function () {
+        var step2list = {
+            ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+            alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+            ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+            iviti: 'ive', biliti: 'ble', logi: 'log'
+        }
+        var step3list = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' }
+
+        var c = '[^aeiou]'
+        var v = '[aeiouy]'
+        var C = c + '[^aeiouy]*'
+        var V = v + '[aeiou]*'
+
+        var mgr0 = new RegExp('^(' + C + ')?' + V + C)
+        var meq1 = new RegExp('^(' + C + ')?' + V + C + '(' + V + ')?$')
+        var mgr1 = new RegExp('^(' + C + ')?' + V + C + V + C)
+        var hasVowel = new RegExp('^(' + C + ')?' + v)
+        var endsCVC = new RegExp('^' + C + v + '[^aeiouwxy]$')
+
+        return function (word) {
+            if (word.length < 3 || !/^[a-z]+$/.test(word)) return word
+
+            var match, stem
+            var firstChar = word.charAt(0)
+            if (firstChar === 'y') word = 'Y' + word.substr(1)
+
+            // Step 1a: plurals
+            if (/^(.+?)(ss|i)es$/.test(word)) word = word.replace(/^(.+?)(ss|i)es$/, '$1$2')
+            else if (/^(.+?)([^s])s$/.test(word)) word = word.replace(/^(.+?)([^s])s$/, '$1$2')
+
+            // Step 1b: past tense and gerunds
+            if ((match = /^(.+?)eed$/.exec(word))) {
+                if (mgr0.test(match[1])) word = word.slice(0, -1)
+            }
+            else if ((match = /^(.+?)(ed|ing)$/.exec(word)) && hasVowel.test(match[1])) {
+                word = match[1]
+                if (/(at|bl|iz)$/.test(word)) word += 'e'
+                else if (/([^aeiouylsz])\1$/.test(word)) word = word.slice(0, -1)
+                else if (endsCVC.test(word)) word += 'e'
+            }
+
+            // Step 1c
+            if ((match = /^(.+?)y$/.exec(word)) && hasVowel.test(match[1])) word = match[1] + 'i'
+
+            // Step 2 & 3: double and single suffixes
+            match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(word)
+            if (match && mgr0.test(match[1])) word = match[1] + step2list[match[2]]
+
+            match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(word)
+            if (match && mgr0.test(match[1])) word = match[1] + step3list[match[2]]
+
+            // Step 4: remaining suffixes
+            if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(word))) {
+                if (mgr1.test(match[1])) word = match[1]
+            }
+            else if ((match = /^(.+?)(s|t)(ion)$/.exec(word))) {
+                stem = match[1] + match[2]
+                if (mgr1.test(stem)) word = stem
+            }
+
+            // Step 5: tidy up trailing "e" and "ll"
+            if ((match = /^(.+?)e$/.exec(word))) {
+                stem = match[1]
+                if (mgr1.test(stem) || (meq1.test(stem) && !endsCVC.test(stem))) word = stem
+            }
+            if (/ll$/.test(word) && mgr1.test(word)) word = word.slice(0, -1)
+
+            if (firstChar === 'y') word = 'y' + word.substr(1)
+            return word
+        }
+    })(),
+    /**
+     * Split text into index terms.
+     * Latin words are lowercased and stemmed, CJK runs become unigrams and bigrams
+     * when indexing; queries only use bigrams so "强化学习" does not match every "学".
+     */
+    tokenize: function (text, isQuery) {
+        var terms = []
+        var runs = String(text || '').toLowerCase().match($search.tokenPattern) || []
+
+        runs.forEach(function (run) {
+            if (!$search.isCJK(run)) {
+                terms.push($search.stem(run))
+                return
+            }
+
+            if (run.length === 1) {
+                terms.push(run)
+                return
+            }
+
+            for (var i = 0; i < run.length; i++) {
+                !isQuery && terms.push(run[i])
+                i < run.length - 1 && terms.push(run.substr(i, 2))
+            }
+        })
+
+        return terms
+    },
+    decodeEntities: function (text) {
+        var named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' }
+
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function (entity, code) {
+            if (code[0] === '#') {
+                var point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.substr(2), 16) : parseInt(code.substr(1), 10)
+                return String.fromCodePoint ? String.fromCodePoint(point) : String.fromCharCode(point)
+            }
+            return named.hasOwnProperty(code.toLowerCase()) ? named[code.toLowerCase()] : entity
+        })
+    },
+    stripTags: function (html) {
+        // Block level tags separate words, inline tags like <strong> must not split them
+        var text = html
+            .replace(/<\/?(p|div|h[1-6]|li|ul|ol|dl|dt|dd|br|hr|tr|td|th|table|blockquote|pre|figure|figcaption|section)\b[^>]*>/gi, ' ')
+            .replace(/<[^>]+>/g, '')
+        return $search.decodeEntities(text).replace(/\s+/g, ' ').trim()
+    },
+    /**
+     * Minimal XML reading for search.xml and atom.xml. Workers have no DOMParser,
+     * and Hexo writes these files regularly enough for a few patterns.
+     */
+    xmlElements: function (xml, tagName) {
+        var pattern = new RegExp('<' + tagName + '\\b([^>]*?)(?:/>|>([\\s\\S]*?)</' + tagName + '>)', 'g')
+        var elements = []
+        var match
+
+        while ((match = pattern.exec(xml))) {
+            elements.push({ attrs: match[1], inner: match[2] || '' })
+        }
+        return elements
+    },
+    xmlText: function (element) {
+        if (!element) return ''
+
+        var cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(element.inner)
+        return cdata ? cdata[1] : $search.decodeEntities(element.inner).trim()
+    },
+    xmlAttr: function (element, name) {
+        var match = element && new RegExp('\\s' + name + '="([^"]*)"').exec(element.attrs)
+        return match ? $search.decodeEntities(match[1]) : null
+    },
+    /**
+     * Turn one <entry> of search.xml into a plain document
+     */
+    parseEntry: function (xml) {
+        var contentEl = $search.xmlElements(xml, 'content')[0]
+        // Everything but the post body, so its HTML cannot be mistaken for entry fields
+        var meta = xml.replace(/<content\b[\s\S]*?<\/content>/, '')
+        // Line numbers of Hexo code blocks are not content
+        var html = $search.xmlText(contentEl).replace(/<td class="gutter">[\s\S]*?<\/td>/g, '')
+        var headings = []
+        var sections = [{ id: null, title: '', start: 0 }]
+        var pieces = []
+        var length = 0
+
+        function addPiece(text) {
+            if (!text) return
+            pieces.push(text)
+            length += text.length + 1
+        }
+
+        // Remember where every heading starts in the text, so hits can be traced to their section
+        var headingPattern = /<h([1-6])([^>]*)>([\s\S]*?)<\/h\1>/gi
+        var lastIdx = 0
+        var match
+        while ((match = headingPattern.exec(html))) {
+            addPiece($search.stripTags(html.substring(lastIdx, match.index)))
+
+            var title = $search.stripTags(match[3])
+            var id = /\sid="([^"]*)"/.exec(match[2])
+            if (title) {
+                headings.push(title)
+                sections.push({ id: id ? $search.decodeEntities(id[1]) : null, title: title, start: length })
+            }
+
+            addPiece(title)
+            lastIdx = headingPattern.lastIndex
+        }
+        addPiece($search.stripTags(html.substring(lastIdx)))
+
+        function texts(tagName) {
+            return $search.xmlElements(meta, tagName).map($search.xmlText)
+        }
+
+        return {
+            title: texts('title')[0] || '',
+            link: $search.pathOf($search.xmlAttr($search.xmlElements(meta, 'link')[0], 'href')),
+            date: null,
+            tags: texts('tag'),
+            categories: texts('category'),
+            headings: headings,
+            sections: sections,
+            text: pieces.join(' ')
+        }
+    },
+    pathOf: function (url) {
+        var path = String(url).replace(/^[a-z]+:\/\/[^/]+/i, '')
+        try {
+            return decodeURI(path)
+        } catch (e) {
+            return path
+        }
+    },
+    /**
+     * Read the publish date, tags and categories of one <entry> in atom.xml.
+     * Hexo marks both as <category>, only the scheme url tells them apart.
+     */
+    parseFeedEntry: function (xml) {
+        var meta = xml.replace(/<(content|summary)\b[\s\S]*?<\/\1>/g, '')
+        var tags = []
+        var categories = []
+
+        $search.xmlElements(meta, 'category').forEach(function (el) {
+            var term = $search.xmlAttr(el, 'term')
+            if (($search.xmlAttr(el, 'scheme') || '').indexOf('/categories/') > -1) categories.push(term)
+            else tags.push(term)
+        })
+
+        return {
+            link: $search.pathOf($search.xmlAttr($search.xmlElements(meta, 'link')[0], 'href')),
+            date: $search.xmlText($search.xmlElements(meta, 'published')[0]) || null,
+            tags: tags,
+            categories: categories
+        }
+    },
+    mergeFeed: function (docs, feedEntries) {
+        var feedByLink = {}
+        feedEntries.forEach(function (item) { feedByLink[item.link] = item })
+
+        docs.forEach(function (doc) {
+            var item = feedByLink[doc.link]
+            if (!item) return
+
+            doc.date = item.date
+            if (!doc.tags.length) doc.tags = item.tags
+            if (!doc.categories.length) doc.categories = item.categories
+        })
+        return docs
+    },
+    /**
+     * Build an inverted index: term -> { docId: [titleHits, headingHits, bodyHits] }
+     */
+    createIndex: function (docs) {
+        var terms = {}
+        var pinyin = {}
+        var lengths = []
+        var totalLength = 0
+
+        function addField(docId, fieldIdx, text) {
+            var tokens = $search.tokenize(text)
+            tokens.forEach(function (term) {
+                var postings = terms.hasOwnProperty(term) ? terms[term] : (terms[term] = {})
+                var hits = postings[docId] || (postings[docId] = [0, 0, 0])
+                hits[fieldIdx]++
+            })
+            return tokens.length
+        }
+
+        function addPinyin(docId, fieldIdx, text) {
+            $search.pinyinKeys(text).forEach(function (key) {
+                var postings = pinyin.hasOwnProperty(key) ? pinyin[key] : (pinyin[key] = {})
+                var hits = postings[docId] || (postings[docId] = [0, 0, 0])
+                hits[fieldIdx] = 1
+            })
+        }
+
+        docs.forEach(function (doc, docId) {
+            var length = addField(docId, 0, doc.title)
+            length += addField(docId, 1, doc.headings.concat(doc.tags, doc.categories).join(' '))
+            length += addField(docId, 2, doc.text)
+
+            // Titles and tags can also be typed in pinyin
+            addPinyin(docId, 0, doc.title)
+            doc.tags.concat(doc.categories).forEach(function (tag) { addPinyin(docId, 1, tag) })
+
+            lengths.push(length)
+            totalLength += length
+        })
+
+        return {
+            docs: docs,
+            terms: terms,
+            pinyin: pinyin,
+            lengths: lengths,
+            avgLength: docs.length ? totalLength / docs.length : 0
+        }
+    },
+    /**
+     * Find the index terms a query term should match. Exact terms count fully,
+     * while a Latin word still being typed also matches longer terms by prefix.
+     */
+    expandTerm: function (index, term) {
+        var matches = []
+        if (index.terms.hasOwnProperty(term)) matches.push({ term: term, weight: 1 })
+
+        if (term.length > 1 && !$search.isCJK(term)) {
+            Object.keys(index.terms).forEach(function (candidate) {
+                if (candidate !== term && candidate.indexOf(term) === 0) {
+                    matches.push({ term: candidate, weight: 0.5 })
+                }
+            })
+        }
+        return matches
+    },
+    /**
+     * Optimal string alignment distance, a swap of two neighbours counting as one
+     * typo. Gives up with max + 1 as soon as the distance exceeds max.
+     */
+    editDistance: function (a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1
+
+        var prevPrev = []
+        var prev = []
+        for (var j = 0; j <= b.length; j++) prev[j] = j
+
+        for (var i = 1; i <= a.length; i++) {
+            var row = [i]
+            var rowMin = i
+            for (j = 1; j <= b.length; j++) {
+                var cost = a[i - 1] === b[j - 1] ? 0 : 1
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost)
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], prevPrev[j - 2] + 1)
+                }
+                rowMin = Math.min(rowMin, row[j])
+            }
+            if (rowMin > max) return max + 1
+
+            prevPrev = prev
+            prev = row
+        }
+        return prev[b.length]
+    },
+    /**
+     * Typo tolerant fallback for a Latin term without exact or prefix matches:
+     * index terms one edit away, or two for terms of eight letters and more
+     */
+    fuzzyTerms: function (index, term) {
+        var matches = []
+        if (term.length < 4 || $search.isCJK(term)) return matches
+
+        var max = term.length >= 8 ? 2 : 1
+        Object.keys(index.terms).forEach(function (candidate) {
+            if ($search.isCJK(candidate)) return
+
+            var distance = $search.editDistance(term, candidate, max)
+            if (distance <= max) matches.push({ term: candidate, weight: 0.3 / distance })
+        })
+        return matches
+    },
+    PINYIN_URL: '/js/search-pinyin.js',
+    // Filled in by search-pinyin.js: syllable -> characters read that way
+    pinyinTable: null,
+    _pinyinOf: null,
+    _pinyinLoading: null,
+
+    /**
+     * Load the pinyin table once, with importScripts in the worker and a script tag otherwise
+     */
+    loadPinyin: function () {
+        if ($search.pinyinTable) return Promise.resolve()
+
+        if (typeof importScripts === 'function') {
+            try {
+                importScripts($search.PINYIN_URL)
+                return Promise.resolve()
+            } catch (e) {
+                return Promise.reject(e)
+            }
+        }
+
+        if (!$search._pinyinLoading) {
+            $search._pinyinLoading = new Promise(function (resolve, reject) {
+                var script = document.createElement('script')
+                script.src = $search.PINYIN_URL
+                script.onload = resolve
+                script.onerror = function (error) {
+                    // Let the next load try again
+                    $search._pinyinLoading = null
+                    reject(error)
+                }
+                document.head.appendChild(script)
+            })
+        }
+        return $search._pinyinLoading
+    },
+    /**
+     * Toneless pinyin of a character, null when it is not in the table
+     */
+    pinyinOf: function (char) {
+        if (!$search._pinyinOf && $search.pinyinTable) {
+            var map = $search._pinyinOf = {}
+            Object.keys($search.pinyinTable).forEach(function (syllable) {
+                var chars = $search.pinyinTable[syllable]
+                for (var idx = 0; idx < chars.length; idx++) map[chars[idx]] = syllable
+            })
+        }
+        return $search._pinyinOf && $search._pinyinOf.hasOwnProperty(char) ? $search._pinyinOf[char] : null
+    },
+    /**
+     * Pinyin spellings a title or tag can be typed as: every run of consecutive
+     * syllables in full ("qianghua", "qianghuaxuexi") and, from two syllables on,
+     * as initials ("qhxx")
+     */
+    pinyinKeys: function (text) {
+        var syllables = Array.prototype.map.call(String(text), $search.pinyinOf)
+        var keys = {}
+
+        for (var start = 0; start < syllables.length; start++) {
+            var full = ''
+            var initials = ''
+            for (var end = start; end < syllables.length && syllables[end]; end++) {
+                full += syllables[end]
+                initials += syllables[end][0]
+                keys[full] = true
+                if (end > start) keys[initials] = true
+            }
+        }
+        return Object.keys(keys)
+    },
+    /**
+     * Ranges of the characters in text spelled by one of the pinyin spellings
+     */
+    pinyinRanges: function (text, spellings) {
+        var ranges = []
+        if (!spellings.length) return ranges
+
+        var longest = Math.max.apply(Math, spellings.map(function (spelling) { return spelling.length }))
+        for (var start = 0; start < text.length; start++) {
+            var full = ''
+            var initials = ''
+            for (var end = start; end < text.length && end - start < longest; end++) {
+                var syllable = $search.pinyinOf(text[end])
+                if (!syllable) break
+
+                full += syllable
+                initials += syllable[0]
+                if (spellings.indexOf(full) > -1 || (end > start && spellings.indexOf(initials) > -1)) {
+                    ranges.push([start, end + 1])
+                }
+            }
+        }
+        return $search.mergeRanges(ranges)
+    },
+    queryKeys: { tag: 'tag', tags: 'tag', category: 'category', categories: 'category', cat: 'category', after: 'after', before: 'before' },
+    /**
+     * Split a query into free words, "exact phrases", -exclusions and filters:
+     *   tag:RL  category:人工智能  after:2025-08  before:2025-10-01  -tag:claude
+     * Filter values may be quoted as well, e.g. tag:"machine learning".
+     */
+    parseQuery: function (text) {
+        var parsed = { words: [], phrases: [], excludes: [], filters: [] }
+        var pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi
+        var match
+
+        while ((match = pattern.exec(String(text || '')))) {
+            var negate = match[1] === '-'
+            var key = match[2] && $search.queryKeys[match[2].toLowerCase()]
+            var isQuoted = match[3] !== undefined
+            var value = (isQuoted ? match[3] : match[4] || '').trim()
+
+            if (match[2] && !key) {
+                // Not one of our keys, "Q:" and "http:" are plain text
+                value = match[2] + ':' + value
+            }
+            if (!value) continue
+
+            if (key) parsed.filters.push({ key: key, value: value, negate: negate })
+            else if (negate) parsed.excludes.push(value)
+            else if (isQuoted) parsed.phrases.push(value)
+            else parsed.words.push(value)
+        }
+        return parsed
+    },
+    /**
+     * Timestamp where a 2025, 2025-08 or 2025-08-04 period starts
+     */
+    parseDate: function (value) {
+        var parts = /^(\d{4})(?:[-/.](\d{1,2}))?(?:[-/.](\d{1,2}))?$/.exec(value)
+        if (!parts) return NaN
+        return Date.UTC(+parts[1], parts[2] ? parts[2] - 1 : 0, parts[3] ? +parts[3] : 1)
+    },
+    /**
+     * after: keeps posts published from the start of the period on,
+     * before: keeps posts published before the period starts.
+     */
+    matchFilter: function (doc, filter) {
+        var value = filter.value.toLowerCase()
+        var isMatch
+
+        function hasValue(list) {
+            return list.some(function (item) { return item.toLowerCase() === value })
+        }
+
+        if (filter.key === 'tag') isMatch = hasValue(doc.tags)
+        else if (filter.key === 'category') isMatch = hasValue(doc.categories)
+        else {
+            var time = $search.parseDate(filter.value)
+            if (isNaN(time)) return true
+
+            var docTime = doc.date ? Date.parse(doc.date) : NaN
+            isMatch = !isNaN(docTime) && (filter.key === 'after' ? docTime >= time : docTime < time)
+        }
+        return filter.negate ? !isMatch : isMatch
+    },
+    haystack: function (doc) {
+        return [doc.title].concat(doc.headings, doc.text).join(' ').toLowerCase().replace(/\s+/g, ' ')
+    },
+    /**
+     * Whether a document contains every term of a word, without prefix expansion
+     */
+    containsWord: function (index, docId, word) {
+        var terms = $search.tokenize(word, true)
+        return terms.length > 0 && terms.every(function (term) {
+            return index.terms.hasOwnProperty(term) && index.terms[term].hasOwnProperty(docId)
+        })
+    },
+    /**
+     * Rank documents with a field-weighted BM25. Every post appears once,
+     * with the scores of all matching query terms merged into it. Free words
+     * are ANDed: a post has to match every term of every word.
+     *
+     * Words without exact or prefix matches fall back to typo tolerant and
+     * pinyin matching. Posts that need such a fuzzy hit rank below all others.
+     */
+    query: function (index, text) {
+        var weights = $search.fieldWeights
+        var parsed = $search.parseQuery(text)
+        var docCount = index.docs.length
+        var k1 = 1.2, b = 0.75
+        var scores = {}
+
+        // Phrase words add to the score, but the phrase itself is checked verbatim
+        var words = parsed.words.map(function (word) {
+            return { text: word, terms: $search.tokenize(word, true), required: true }
+        }).concat(parsed.phrases.map(function (phrase) {
+            return { text: phrase, terms: $search.tokenize(phrase, true), required: false }
+        })).filter(function (word) {
+            return word.terms.length > 0
+        })
+        var requiredCount = words.filter(function (word) { return word.required }).length
+
+        if (!words.length && !parsed.filters.length) return []
+
+        // Index terms and pinyin spellings only matched fuzzily, to highlight them as well
+        var fuzzyStems = []
+        var spellings = []
+
+        function addPostings(postings, weight, wordIdx, termIdxs, isFuzzy) {
+            var docIds = Object.keys(postings)
+            var idf = Math.log(1 + (docCount - docIds.length + 0.5) / (docIds.length + 0.5))
+
+            docIds.forEach(function (docId) {
+                var hits = postings[docId]
+                var tf = hits[0] * weights.title + hits[1] * weights.heading + hits[2] * weights.body
+                var norm = k1 * (1 - b + b * index.lengths[docId] / (index.avgLength || 1))
+                var score = weight * idf * tf * (k1 + 1) / (tf + norm)
+
+                var result = scores[docId] || (scores[docId] = { score: 0, hits: {} })
+                result.score += score
+                termIdxs.forEach(function (termIdx) {
+                    var key = wordIdx + ':' + termIdx
+                    result.hits[key] = isFuzzy ? result.hits[key] || 'fuzzy' : true
+                })
+            })
+        }
+
+        words.forEach(function (word, wordIdx) {
+            var isFallback = false
+
+            word.terms.forEach(function (queryTerm, termIdx) {
+                var matches = $search.expandTerm(index, queryTerm)
+                var isFuzzy = !matches.length
+                if (isFuzzy) {
+                    isFallback = true
+                    matches = $search.fuzzyTerms(index, queryTerm)
+                }
+
+                matches.forEach(function (match) {
+                    isFuzzy && fuzzyStems.push(match.term)
+                    addPostings(index.terms[match.term], match.weight, wordIdx, [termIdx], isFuzzy)
+                })
+            })
+
+            // "qianghua xuexi" or "qhxx" for 强化学习
+            var spelling = word.text.toLowerCase().replace(/[\s'-]+/g, '')
+            if (isFallback && /^[a-z]{2,}$/.test(spelling) && index.pinyin && index.pinyin.hasOwnProperty(spelling)) {
+                spellings.push(spelling)
+                addPostings(index.pinyin[spelling], 0.5, wordIdx, word.terms.map(function (term, termIdx) { return termIdx }), true)
+            }
+        })
+
+        function rangesIn(str) {
+            return $search.mergeRanges($search.matchRanges(str, text, fuzzyStems).concat($search.pinyinRanges(str, spellings)))
+        }
+
+        return index.docs.map(function (doc, docId) {
+            var result = scores[docId] || { score: 0, hits: {} }
+            var isMatch = words.every(function (word, wordIdx) {
+                return !word.required || word.terms.every(function (term, termIdx) {
+                    return result.hits[wordIdx + ':' + termIdx]
+                })
+            })
+            if (!isMatch || (requiredCount && !scores[docId])) return null
+
+            if (parsed.phrases.length || parsed.excludes.length) {
+                var haystack = $search.haystack(doc)
+                var hasPhrases = parsed.phrases.every(function (phrase) {
+                    return haystack.indexOf(phrase.toLowerCase().replace(/\s+/g, ' ')) > -1
+                })
+                var hasExcluded = parsed.excludes.some(function (exclude) {
+                    return /\s/.test(exclude)
+                        ? haystack.indexOf(exclude.toLowerCase().replace(/\s+/g, ' ')) > -1
+                        : $search.containsWord(index, docId, exclude)
+                })
+                if (!hasPhrases || hasExcluded) return null
+            }
+
+            var isFiltered = parsed.filters.every(function (filter) {
+                return $search.matchFilter(doc, filter)
+            })
+            if (!isFiltered) return null
+
+            var ranges = rangesIn(doc.text)
+            var section = $search.bestSection(doc, ranges)
+            var isFuzzy = Object.keys(result.hits).some(function (key) {
+                return result.hits[key] === 'fuzzy' && words[key.split(':')[0]].required
+            })
+
+            return {
+                link: section ? doc.link + '#' + encodeURIComponent(section.id) : doc.link,
+                title: doc.title,
+                date: doc.date,
+                tags: doc.tags,
+                titleRanges: rangesIn(doc.title),
+                section: section && {
+                    id: section.id,
+                    title: section.title,
+                    ranges: rangesIn(section.title)
+                },
+                snippets: $search.snippets(doc.text, ranges),
+                score: result.score,
+                fuzzy: isFuzzy
+            }
+        }).filter(Boolean).sort(function (a, b) {
+            return a.fuzzy - b.fuzzy || b.score - a.score || (b.date || '').localeCompare(a.date || '')
+        })
+    },
+    /**
+     * Locate every query hit in the original text as merged [start, end] ranges.
+     * Latin words match on their stem or as a typed prefix and are highlighted whole,
+     * quoted phrases only match verbatim. Stems of fuzzy matches may be passed
+     * as extraStems to highlight those words too.
+     */
+    matchRanges: function (text, query, extraStems) {
+        var lowerText = text.toLowerCase()
+        if (lowerText.length !== text.length) lowerText = text
+
+        var parsed = $search.parseQuery(query)
+        var words = parsed.words.join(' ').toLowerCase().match($search.tokenPattern) || []
+        var latinWords = words.filter(function (word) { return !$search.isCJK(word) })
+        // Fall back to bigrams for CJK query words that do not occur as a whole
+        var cjkNeedles = words.filter($search.isCJK).reduce(function (needles, word) {
+            if (word.length < 3 || lowerText.indexOf(word) > -1) return needles.concat(word)
+            for (var idx = 0; idx < word.length - 1; idx++) needles.push(word.substr(idx, 2))
+            return needles
+        }, [])
+        var stems = latinWords.map($search.stem).concat(extraStems || [])
+        var ranges = []
+
+        var pattern = new RegExp($search.tokenPattern.source, 'g')
+        var match
+        while ((match = pattern.exec(lowerText))) {
+            var run = match[0]
+            var start = match.index
+
+            if (!$search.isCJK(run)) {
+                var stem = $search.stem(run)
+                var isHit = stems.indexOf(stem) > -1 || latinWords.some(function (word) {
+                    return word.length > 1 && run.indexOf(word) === 0
+                })
+                isHit && ranges.push([start, start + run.length])
+                continue
+            }
+
+            cjkNeedles.forEach(function (needle) {
+                for (var idx = run.indexOf(needle); idx > -1; idx = run.indexOf(needle, idx + 1)) {
+                    ranges.push([start + idx, start + idx + needle.length])
+                }
+            })
+        }
+
+        parsed.phrases.forEach(function (phrase) {
+            var source = phrase.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')
+            var phrasePattern = new RegExp(source, 'gi')
+            while ((match = phrasePattern.exec(text))) {
+                ranges.push([match.index, match.index + match[0].length])
+            }
+        })
+
+        return $search.mergeRanges(ranges)
+    },
+    mergeRanges: function (ranges) {
+        ranges.sort(function (a, b) { return a[0] - b[0] })
+        return ranges.reduce(function (merged, range) {
+            var last = merged[merged.length - 1]
+            if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1])
+            else merged.push(range)
+            return merged
+        }, [])
+    },
+    /**
+     * The linkable section with the most hits, a hit in its heading counting
+     * as much as in the heading field of the index
+     */
+    bestSection: function (doc, ranges) {
+        var weights = $search.fieldWeights
+        var sections = doc.sections || []
+        var scores = sections.map(function () { return 0 })
+        var sectionIdx = 0
+        var bestIdx = -1
+
+        ranges.forEach(function (range) {
+            while (sectionIdx < sections.length - 1 && sections[sectionIdx + 1].start <= range[0]) sectionIdx++
+
+            var section = sections[sectionIdx]
+            scores[sectionIdx] += range[0] < section.start + section.title.length ? weights.heading : weights.body
+        })
+
+        scores.forEach(function (score, idx) {
+            if (sections[idx].id && score > 0 && (bestIdx < 0 || score > scores[bestIdx])) bestIdx = idx
+        })
+        return bestIdx > -1 ? sections[bestIdx] : null
+    },
+    /**
+     * Highlighted "Post › Section" breadcrumb of a result
+     */
+    titleHTML: function (item) {
+        var html = $search.highlight(item.title, item.titleRanges || [])
+        if (item.section) {
+            html += '<span class="search-breadcrumb"> › ' + $search.highlight(item.section.title, item.section.ranges) + '</span>'
+        }
+        return html
+    },
+    sentenceEnd: /[。！？；!?\n]/,
+    softBreak: /[\s，、：,:]/,
+    /**
+     * Start of a snippet for a hit: after the closest sentence end, else after
+     * a space or CJK comma, so neither words nor phrases are cut in half.
+     */
+    snippetStart: function (text, hitIdx, lead) {
+        var lowest = Math.max(0, hitIdx - lead)
+        var idx
+
+        for (idx = hitIdx - 1; idx >= lowest; idx--) {
+            if ($search.sentenceEnd.test(text[idx])) return idx + 1
+        }
+        if (lowest === 0) return 0
+
+        for (idx = lowest; idx < hitIdx; idx++) {
+            if ($search.softBreak.test(text[idx])) return idx + 1
+        }
+        return lowest
+    },
+    snippetEnd: function (text, minEnd, target) {
+        if (target >= text.length) return text.length
+        var idx
+
+        for (idx = target; idx > minEnd; idx--) {
+            if ($search.sentenceEnd.test(text[idx - 1])) return idx
+        }
+        for (idx = target; idx > minEnd; idx--) {
+            if ($search.softBreak.test(text[idx])) return idx
+        }
+        return target
+    },
+    /**
+     * Title, date, tags and opening excerpt of the post at path, or of its section
+     * with the given id. null when there is no such post.
+     */
+    preview: function (index, path, id) {
+        var doc = index.docs.find(function (item) { return item.link === path })
+        if (!doc) return null
+
+        var section = id ? (doc.sections || []).find(function (item) { return item.id === id }) : null
+        // Start after the section heading itself
+        var start = section ? Math.min(doc.text.length, section.start + section.title.length + 1) : 0
+        var end = $search.snippetEnd(doc.text, start, start + 160)
+        var excerpt = doc.text.substring(start, end).trim()
+
+        return {
+            link: doc.link,
+            title: doc.title,
+            date: doc.date,
+            tags: doc.tags,
+            section: section ? section.title : null,
+            excerpt: end < doc.text.length ? excerpt + '…' : excerpt
+        }
+    },
+    /**
+     * Cut up to `limit` non-overlapping snippets around the hit ranges,
+     * keeping the original casing. Each snippet carries its own ranges.
+     */
+    snippets: function (text, ranges, limit) {
+        var WINDOW = 120
+        var LEAD = 30
+        var snippets = []
+        var prevEnd = 0
+        var i = 0
+
+        if (ranges.length === 0) {
+            ranges = [[0, 0]]
+        }
+
+        while (i < ranges.length && snippets.length < (limit || 3)) {
+            var hit = ranges[i]
+            var start = Math.max(prevEnd, $search.snippetStart(text, hit[0], LEAD))
+            while (start < hit[0] && /\s/.test(text[start])) start++
+
+            var end = $search.snippetEnd(text, hit[1], Math.max(start + WINDOW, hit[1]))
+            var prefix = start > 0 ? '…' : ''
+            var snippetRanges = []
+
+            for (; i < ranges.length && ranges[i][0] < end; i++) {
+                if (ranges[i][1] > ranges[i][0]) {
+                    snippetRanges.push([
+                        ranges[i][0] - start + prefix.length,
+                        Math.min(ranges[i][1], end) - start + prefix.length
+                    ])
+                }
+            }
+
+            snippets.push({
+                text: prefix + text.substring(start, end).replace(/\s+$/, '') + (end < text.length ? '…' : ''),
+                ranges: snippetRanges
+            })
+            prevEnd = end
+        }
+        return snippets
+    },
+    escapeHTML: function (text) {
+        return String(text).replace(/[&<>"']/g, function (char) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[char]
+        })
+    },
+    /**
+     * Escaped HTML of the text with every range wrapped in <mark>
+     */
+    highlight: function (text, ranges) {
+        var html = ''
+        var lastIdx = 0
+
+        ranges.forEach(function (range) {
+            html += $search.escapeHTML(text.substring(lastIdx, range[0]))
+            html += '<mark>' + $search.escapeHTML(text.substring(range[0], range[1])) + '</mark>'
+            lastIdx = range[1]
+        })
+        return html + $search.escapeHTML(text.substring(lastIdx))
+    },
+    /**
+     * Download and index search.xml, with dates and taxonomy merged in from atom.xml
+     */
+    buildIndex: function () {
+        function fetchText(url) {
+            return fetch(url).then(function (res) {
+                if (!res.ok) throw new Error('Failed to fetch ' + url + ': ' + res.status)
+                return res.text()
+            })
+        }
+
+        return Promise.all([
+            fetchText('/search.xml'),
+            // Dates only come from the feed, search still works without them
+            fetchText('/atom.xml').catch(function () { return '' }),
+            // Same for pinyin matching
+            $search.loadPinyin().catch(function () { /* noop */ })
+        ]).then(function (responses) {
+            return $search.indexFromXML(responses[0], responses[1])
+        })
+    },
+    /**
+     * Index the text of search.xml and atom.xml, shared with tools/build-search-index.js
+     */
+    indexFromXML: function (searchXML, feedXML) {
+        var docs = $search.xmlElements(searchXML, 'entry').map(function (el) {
+            return $search.parseEntry(el.inner)
+        })
+        var feedEntries = $search.xmlElements(feedXML || '', 'entry').map(function (el) {
+            return $search.parseFeedEntry(el.inner)
+        })
+
+        return $search.createIndex($search.mergeFeed(docs, feedEntries))
+    },
+    INDEX_URL: '/search-index.json',
+    /**
+     * Download the index tools/build-search-index.js generated at deploy time.
+     * Rejects when there is none, or when it was built for another feed version
+     * or index format, so the caller can fall back to buildIndex.
+     */
+    fetchIndex: function (version) {
+        return fetch($search.INDEX_URL).then(function (res) {
+            if (!res.ok) throw new Error('Failed to fetch ' + $search.INDEX_URL + ': ' + res.status)
+            return res.json()
+        }).then(function (data) {
+            if (data.format !== $search.cache.FORMAT || (version && data.version !== version)) {
+                throw new Error('Outdated ' + $search.INDEX_URL)
+            }
+            return data.index
+        })
+    },
+    /**
+     * The <updated> timestamp of the feed itself, the first one in atom.xml
+     */
+    feedUpdated: function (text) {
+        var match = /<updated>([^<]+)<\/updated>/.exec(text)
+        return match ? match[1].trim() : null
+    },
+    /**
+     * The feed's own <updated> timestamp, read from the head of atom.xml
+     * without downloading the rest of it. null when it cannot be read.
+     */
+    feedVersion: function () {
+        return fetch('/atom.xml', { cache: 'no-cache' }).then(function (res) {
+            if (!res.ok) return null
+            if (!res.body || !res.body.getReader) return res.text().then($search.feedUpdated)
+
+            var reader = res.body.getReader()
+            var decoder = new TextDecoder()
+            var head = ''
+
+            function read() {
+                return reader.read().then(function (chunk) {
+                    if (!chunk.done) head += decoder.decode(chunk.value, { stream: true })
+
+                    var updated = $search.feedUpdated(head)
+                    if (updated || chunk.done || head.indexOf('<entry>') > -1) {
+                        reader.cancel()
+                        return updated
+                    }
+                    return read()
+                })
+            }
+            return read()
+        }).catch(function () {
+            return null
+        })
+    },
+    /**
+     * IndexedDB cache holding the last built index with the feed version it was built for
+     */
+    cache: {
+        DB_NAME: 'claudia-search',
+        STORE_NAME: 'index',
+        // Bump when the shape of the index changes so stale caches get rebuilt
+        FORMAT: 2,
+
+        open: function () {
+            var cache = $search.cache
+            return new Promise(function (resolve, reject) {
+                if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not supported'))
+
+                var request = indexedDB.open(cache.DB_NAME, 1)
+                request.onupgradeneeded = function () {
+                    request.result.createObjectStore(cache.STORE_NAME)
+                }
+                request.onsuccess = function () { resolve(request.result) }
+                request.onerror = function () { reject(request.error) }
+            })
+        },
+        get: function (version) {
+            var cache = $search.cache
+            return cache.open().then(function (db) {
+                return new Promise(function (resolve, reject) {
+                    var request = db.transaction(cache.STORE_NAME, 'readonly').objectStore(cache.STORE_NAME).get('index')
+                    request.onsuccess = function () {
+                        var record = request.result
+                        resolve(record && record.version === version && record.format === cache.FORMAT ? record.index : null)
+                    }
+                    request.onerror = function () { reject(request.error) }
+                })
+            }).catch(function () {
+                return null
+            })
+        },
+        put: function (version, index) {
+            var cache = $search.cache
+            return cache.open().then(function (db) {
+                var record = { version: version, format: cache.FORMAT, index: index }
+                db.transaction(cache.STORE_NAME, 'readwrite').objectStore(cache.STORE_NAME).put(record, 'index')
+            }).catch(function () { /* noop */ })
+        }
+    },
+    /**
+     * Restore the index from IndexedDB when the feed has not changed since it was built,
+     * otherwise download the prebuilt one or build it from search.xml, and cache it again
+     */
+    loadIndex: function () {
+        // Highlighting pinyin matches needs the table, wherever the index comes from
+        var pinyin = $search.loadPinyin().catch(function () { /* noop */ })
+
+        var loading = $search.feedVersion().then(function (version) {
+            var cached = version ? $search.cache.get(version) : Promise.resolve(null)
+
+            return cached.then(function (index) {
+                return index || $search.fetchIndex(version).catch($search.buildIndex).then(function (index) {
+                    version && $search.cache.put(version, index)
+                    return index
+                })
+            })
+        })
+
+        return Promise.all([loading, pinyin]).then(function (results) {
+            return results[0]
+        })
+    },
+    WORKER_URL: '/js/search-worker.js',
+    worker: null,
+    index: null,
+    _calls: {},
+    _callId: 0,
+
+    callWorker: function (method, arg) {
+        var id = ++$search._callId
+        return new Promise(function (resolve, reject) {
+            $search._calls[id] = { resolve: resolve, reject: reject }
+            $search.worker.postMessage({ id: id, method: method, arg: arg })
+        })
+    },
+    startWorker: function () {
+        if (typeof Worker === 'undefined') return Promise.reject(new Error('Web Workers are not supported'))
+
+        var worker = new Worker($search.WORKER_URL)
+        worker.onmessage = function (evt) {
+            var data = evt.data
+            var call = $search._calls[data.id]
+            if (!call) return
+
+            delete $search._calls[data.id]
+            data.error ? call.reject(new Error(data.error)) : call.resolve(data.result)
+        }
+        worker.onerror = function (evt) {
+            evt.preventDefault && evt.preventDefault()
+            Object.keys($search._calls).forEach(function (id) {
+                $search._calls[id].reject(new Error(evt.message || 'Search worker failed'))
+                delete $search._calls[id]
+            })
+        }
+
+        $search.worker = worker
+        return $search.callWorker('load')
+    },
+    /**
+     * Get the index ready, in a worker when possible and on the main thread otherwise
+     */
+    load: function () {
+        if (!$search._loading) {
+            $search._loading = $search.startWorker().catch(function () {
+                $search.worker && $search.worker.terminate()
+                $search.worker = null
+
+                return $search.loadIndex().then(function (index) {
+                    $search.index = index
+                })
+            }).catch(function (error) {
+                // Let the next search try again
+                $search._loading = null
+                throw error
+            })
+        }
+        return $search._loading
+    },
+    search: function (text) {
+        return $search.load().then(function () {
+            return $search.worker ? $search.callWorker('query', text) : $search.query($search.index, text)
+        })
+    },
+    previewOf: function (path, id) {
+        return $search.load().then(function () {
+            var arg = { path: path, id: id || null }
+            return $search.worker ? $search.callWorker('preview', arg) : $search.preview($search.index, arg.path, arg.id)
+        })
+    },
+    PAGE_URL: '/search/',
+    /**
+     * Query and page number of a ?q=...&page=... location.search
+     */
+    parseURL: function (search) {
+        var params = new URLSearchParams(search)
+        return {
+            query: params.get('q') || '',
+            page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+        }
+    },
+    /**
+     * Shareable url of a search, on the results page unless another pathname is given
+     */
+    searchURL: function (query, page, pathname) {
+        var params = new URLSearchParams()
+        query && params.set('q', query)
+        page > 1 && params.set('page', page)
+
+        var search = params.toString()
+        return (pathname || $search.PAGE_URL) + (search ? '?' + search : '')
+    }
+}
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Build-time search index for Claudia theme
+ * Turns the generated search.xml and atom.xml into search-index.json, the pre-tokenized
+ * index js/search.js downloads instead of parsing search.xml itself. It holds the full
+ * text of every post, but skips the XML parsing and tokenizing on the client.
+ *
+ * Hexo builds it on every `hexo generate` (and `hexo deploy -g`) once this file is in
+ * the scripts folder of the site or theme, or a script there calls
+ * require('<path>/build-search-index').register(hexo).
+ * Usage without Hexo: node tools/build-search-index.js [public dir]
+ */
+'use strict'
+
+var fs = require('fs')
+var path = require('path')
+var vm = require('vm')
+
+var INDEX_FILE = 'search-index.json'
+var SOURCES = ['search.xml', 'atom.xml', 'js/search.js', 'js/search-pinyin.js']
+
+/**
+ * Build search-index.json from the texts of the SOURCES files, null for missing ones.
+ * Runs the browser search code itself, so the index is tokenized exactly like a client would.
+ */
+function buildSearchIndex(texts) {
+    var context = vm.createContext({ console: console })
+    vm.runInContext(texts['js/search.js'], context, { filename: 'js/search.js' })
+    vm.runInContext(texts['js/search-pinyin.js'] || '', context, { filename: 'js/search-pinyin.js' })
+    var $search = context.$search
+
+    var feedXML = texts['atom.xml'] || ''
+    var index = $search.indexFromXML(texts['search.xml'], feedXML)
+    var output = JSON.stringify({
+        // Clients only use the file while the feed still has this <updated> timestamp
+        version: $search.feedUpdated(feedXML),
+        format: $search.cache.FORMAT,
+        index: index
+    })
+
+    return {
+        output: output,
+        summary: INDEX_FILE + ': ' + index.docs.length + ' posts, ' + Object.keys(index.terms).length + ' terms, ' +
+            Math.round(Buffer.byteLength(output) / 1024) + ' KB'
+    }
+}
+
+// Text of a generated file of the Hexo site, null when there is none
+function readRoute(route, file) {
+    var stream = route.get(file)
+    if (!stream) return Promise.resolve(null)
+
+    return new Promise(function (resolve, reject) {
+        var chunks = []
+        stream.on('data', function (chunk) { chunks.push(Buffer.from(chunk)) })
+        stream.on('end', function () { resolve(Buffer.concat(chunks).toString('utf8')) })
+        stream.on('error', reject)
+    })
+}
+
+// Build the index into the Hexo site every time it is generated
+function register(hexo) {
+    hexo.extend.filter.register('after_generate', function () {
+        return Promise.all(SOURCES.map(function (file) { return readRoute(hexo.route, file) })).then(function (results) {
+            var texts = {}
+            SOURCES.forEach(function (file, idx) { texts[file] = results[idx] })
+
+            if (!texts['search.xml']) {
+                hexo.log.warn('No search.xml generated, skipping ' + INDEX_FILE)
+                return
+            }
+
+            var built = buildSearchIndex(texts)
+            hexo.route.set(INDEX_FILE, built.output)
+            hexo.log.info('Generated ' + built.summary)
+        })
+    })
+}
+
+module.exports = buildSearchIndex
+module.exports.SOURCES = SOURCES
+module.exports.register = register
+
+// Loaded by Hexo as a script
+if (typeof hexo !== 'undefined') register(hexo)
+
+if (require.main === module) {
+    var root = path.resolve(process.argv[2] || path.join(__dirname, '..'))
+    var texts = {}
+    SOURCES.forEach(function (file) {
+        var filePath = path.join(root, file)
+        texts[file] = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+    })
+
+    if (!texts['search.xml']) {
+        console.error('No search.xml in ' + root + ', generate the site first')
+        process.exit(1)
+    }
+
+    var built = buildSearchIndex(texts)
+    fs.writeFileSync(path.join(root, INDEX_FILE), built.output)
+    console.log('Wrote ' + built.summary)
+}
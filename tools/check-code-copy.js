@@ -0,0 +1,61 @@
+/**
+ * "Commands only" copy checks, run by tools/check.js
+ * Runs the text helpers of js/post.js on shell blocks like the ones of the Jujutsu manual:
+ * commands are copied without their prompts, comments and output.
+ */
+'use strict'
+
+var assert = require('assert')
+var vm = require('vm')
+var check = require('./check')
+
+// Only the text helpers of $posts are used, it is never mounted on a page
+var $posts = check.loadScript(vm.createContext({}), 'js/post.js').$posts
+
+module.exports = [
+    ['commands mixed with output and comments', function () {
+        var text = [
+            '# 克隆GitHub仓库',
+            'jj git clone https://github.com/octocat/Hello-World',
+            'Fetching into new repo in "/tmp/Hello-World"',
+            'remote: Total 13 (delta 0), reused 0 (delta 0), pack-reused 13 (from 1)',
+            'bookmark: master@origin          [new] untracked',
+            'Working copy  (@) now at: kntqzsqt d7439b06 (empty) (no description set)',
+            'Added 1 files, modified 0 files, removed 0 files',
+            '',
+            '# 进入克隆的目录',
+            'cd Hello-World',
+            'echo "Goodbye World" > README',
+            '# 输出：',
+            '# M README'
+        ].join('\n')
+        assert.strictEqual($posts.commandsOnly(text), [
+            'jj git clone https://github.com/octocat/Hello-World',
+            'cd Hello-World',
+            'echo "Goodbye World" > README'
+        ].join('\n'))
+    }],
+    ['assignments, paths and continuations', function () {
+        var text = [
+            'RUST_LOG=debug ./target/release/jj \\',
+            '  --no-pager log',
+            'Error: no such revision'
+        ].join('\n')
+        assert.strictEqual($posts.commandsOnly(text), 'RUST_LOG=debug ./target/release/jj \\\n  --no-pager log')
+    }],
+    ['blocks of commands alone are kept as they are', function () {
+        var text = 'jj git fetch\njj rebase -d \'main@origin\''
+        assert.strictEqual($posts.commandsOnly(text), text)
+    }],
+    ['prompts and continuations', function () {
+        var text = [
+            '$ ls \\',
+            '  -la',
+            'total 0',
+            'user@box:~/repo$ echo hi',
+            'hi',
+            '% jj log'
+        ].join('\n')
+        assert.strictEqual($posts.commandsOnly(text), 'ls \\\n  -la\necho hi\njj log')
+    }]
+]
@@ -0,0 +1,22 @@
+/**
+ * Marked code line checks, run by tools/check.js
+ * Parses the line ranges of js/post.js that mark lines of code blocks, such as {3,7-9}.
+ */
+'use strict'
+
+var assert = require('assert')
+var vm = require('vm')
+var check = require('./check')
+
+var $posts = check.loadScript(vm.createContext({}), 'js/post.js').$posts
+
+module.exports = [
+    ['lines and ranges', function () {
+        assert.deepStrictEqual(Array.from($posts.parseLineRanges('3, 7-9', 20)), [3, 7, 8, 9])
+        assert.deepStrictEqual(Array.from($posts.parseLineRanges('4-2,x,5', 20)), [4, 5])
+    }],
+    ['ranges stop at the last line of the block', function () {
+        assert.deepStrictEqual(Array.from($posts.parseLineRanges('1-100000000', 5)), [1, 2, 3, 4, 5])
+        assert.deepStrictEqual(Array.from($posts.parseLineRanges('9,2', 5)), [2])
+    }]
+]
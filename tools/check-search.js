@@ -0,0 +1,70 @@
+/**
+ * Search index checks, run by tools/check.js
+ * Loads js/search.js like the search worker does, serving the site's files to it, and
+ * checks pinyin matches are highlighted whichever way the index was loaded.
+ */
+'use strict'
+
+var assert = require('assert')
+var vm = require('vm')
+var check = require('./check')
+var buildSearchIndex = require('./build-search-index')
+
+// search-index.json as the deploy would build it, which is not kept with the site
+var prebuilt = null
+function prebuiltIndex() {
+    if (!prebuilt) {
+        var texts = {}
+        buildSearchIndex.SOURCES.forEach(function (file) { texts[file] = check.read(file) })
+        prebuilt = buildSearchIndex(texts).output
+    }
+    return prebuilt
+}
+
+// A fresh $search in a worker-like context, where `missing` urls answer 404
+function createSearch(missing) {
+    var context = vm.createContext({ console: console, Promise: Promise })
+    context.importScripts = function (url) {
+        check.loadScript(context, url)
+    }
+    context.fetch = function (url) {
+        var text = null
+        if ((missing || []).indexOf(url) === -1) text = url === '/search-index.json' ? prebuiltIndex() : check.read(url)
+        return Promise.resolve({
+            ok: text !== null,
+            status: text !== null ? 200 : 404,
+            text: function () { return Promise.resolve(text) },
+            json: function () { return Promise.resolve(JSON.parse(text)) }
+        })
+    }
+    return check.loadScript(context, 'js/search.js').$search
+}
+
+function pinyinTitleRanges($search, index) {
+    var result = $search.query(index, 'qianghua').find(function (item) {
+        return item.title.indexOf('强化') > -1
+    })
+    assert.ok(result, 'no result for "qianghua"')
+    return result.titleRanges
+}
+
+module.exports = [
+    ['highlights pinyin matches in the prebuilt index', function () {
+        var $search = createSearch()
+        return $search.loadIndex().then(function (index) {
+            assert.ok($search.pinyinTable, 'pinyin table not loaded')
+            assert.ok(pinyinTitleRanges($search, index).length > 0, 'pinyin match not highlighted')
+        })
+    }],
+    ['highlights pinyin matches in a cached index', function () {
+        var index = JSON.parse(prebuiltIndex()).index
+        // Nothing to download, the index has to come from the cache
+        var $search = createSearch(['/search-index.json', '/search.xml'])
+        $search.cache.get = function () { return Promise.resolve(index) }
+
+        return $search.loadIndex().then(function (loaded) {
+            assert.strictEqual(loaded, index)
+            assert.ok(pinyinTitleRanges($search, loaded).length > 0, 'pinyin match not highlighted')
+        })
+    }]
+]
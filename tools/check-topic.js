@@ -0,0 +1,46 @@
+/**
+ * Topic bar checks, run by tools/check.js
+ * Walks $posts.nextTopicState of js/post.js through every transition of the #postTopic bar.
+ */
+'use strict'
+
+var assert = require('assert')
+var vm = require('vm')
+var check = require('./check')
+
+var $posts = check.loadScript(vm.createContext({}), 'js/post.js').$posts
+
+// The post title ends 300px down a 800px high viewport
+var THRESHOLD = 300
+var VIEWPORT = 800
+
+function next(state, offsetY, beforeOffsetY) {
+    return $posts.nextTopicState(state, offsetY, beforeOffsetY, THRESHOLD, VIEWPORT)
+}
+
+module.exports = [
+    ['hidden at the top', function () {
+        assert.strictEqual(next('showTitle', 0, 400), 'hidden')
+        assert.strictEqual(next('hidden', THRESHOLD, THRESHOLD - 100), 'hidden')
+    }],
+    ['shows the title scrolling down past the post title', function () {
+        assert.strictEqual(next('hidden', THRESHOLD + 1, THRESHOLD - 100), 'showTitle')
+        assert.strictEqual(next('switchTitle', 1200, 1000), 'showTitle')
+    }],
+    ['switches the title scrolling up', function () {
+        assert.strictEqual(next('showTitle', 1000, 1200), 'switchTitle')
+    }],
+    ['offers to scroll to the top scrolling up far down', function () {
+        assert.strictEqual(next('showTitle', VIEWPORT * 2 + 1, VIEWPORT * 2 + 300), 'scrollToTopTips')
+        assert.strictEqual(next('scrollToTopTips', VIEWPORT * 2, VIEWPORT * 2 + 300), 'switchTitle')
+    }],
+    ['flashes the scroll to top tips once scrolling stops', function () {
+        assert.strictEqual(next('scrollToTopTips', 2000, 2000), 'flashScrollToTopTips')
+        assert.strictEqual(next('showTitle', 2000, 2000), 'immediate')
+        assert.strictEqual(next('flashScrollToTopTips', 2000, 2000), 'immediate')
+    }],
+    ['shows the title with no offset before', function () {
+        assert.strictEqual(next('hidden', 1000, undefined), 'showTitle')
+        assert.strictEqual(next('hidden', 0, undefined), 'hidden')
+    }]
+]
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Checks for the browser scripts of Claudia theme
+ * Runs the checks every tools/check-*.js exports against the site: each file exports a
+ * list of [name, check] pairs, where check throws or returns a rejecting promise to fail.
+ *
+ * Usage: node tools/check.js [public dir] [check names, such as check-search...]
+ * Runs offline with plain Node against the generated site, exits non-zero when a check fails.
+ */
+'use strict'
+
+var fs = require('fs')
+var path = require('path')
+var vm = require('vm')
+
+var root = path.resolve(process.argv[2] || path.join(__dirname, '..'))
+
+// Text of a file of the site, null when there is none
+function read(file) {
+    var filePath = path.join(root, decodeURIComponent(file))
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+}
+
+/**
+ * Run a browser script of the site in context like a <script> tag would, leaving its
+ * globals there. Scripts that mount themselves stop at the missing page, once their
+ * own object is defined.
+ */
+function loadScript(context, file) {
+    var source = read(file)
+    if (source === null) throw new Error('No ' + file + ' in ' + root)
+
+    try {
+        vm.runInContext(source, context, { filename: file })
+    } catch (error) {
+        if (!/^(window|document) is not defined$/.test(error && error.message)) throw error
+    }
+    return context
+}
+
+// Run [name, check] pairs one after another, resolving to the number that failed
+function run(title, checks) {
+    return checks.reduce(function (previous, check) {
+        return previous.then(function (failures) {
+            return Promise.resolve().then(check[1]).then(function () {
+                console.log('ok - ' + title + ': ' + check[0])
+                return failures
+            }, function (error) {
+                console.log('not ok - ' + title + ': ' + check[0] + ': ' + (error && error.message))
+                return failures + 1
+            })
+        })
+    }, Promise.resolve(0))
+}
+
+module.exports = {
+    root: root,
+    read: read,
+    loadScript: loadScript
+}
+
+if (require.main === module) {
+    var only = process.argv.slice(3).map(function (name) { return path.basename(name, '.js') })
+    var files = fs.readdirSync(__dirname).filter(function (file) {
+        return /^check-.+\.js$/.test(file) && (!only.length || only.indexOf(path.basename(file, '.js')) > -1)
+    })
+
+    files.reduce(function (previous, file) {
+        return previous.then(function (failures) {
+            return run(path.basename(file, '.js'), require(path.join(__dirname, file))).then(function (count) {
+                return failures + count
+            })
+        })
+    }, Promise.resolve(0)).then(function (failures) {
+        process.exit(failures ? 1 : 0)
+    })
+}